@@ -5,12 +5,42 @@
 
 const Database = require('better-sqlite3');
 const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const readline = require('readline');
+const zlib = require('zlib');
 
 class FHIRSecurityLabelingService {
-    constructor(dbPath = ':memory:') {
+    /**
+     * options.terminologyServer: FHIR base URL used for ValueSet/$expand (default tx.fhir.org R4)
+     * options.expansionPageSize: codes requested per $expand page (default 1000)
+     * options.propagationConfigPath: JSON file with the propagation rules (default propagation-config.json)
+     * options.fhirServer: FHIR base URL propagation targets missing from a Bundle are read from (default none)
+     * options.maxFetchedTargets: resources read from the FHIR server per Bundle at most (default 100)
+     * options.writeBackRetries: retries of a batch written to the FHIR server (default 3)
+     * options.writeBackBackoffMs: delay before the first retry, doubled on every further one (default 500)
+     * options.jobRetentionHours: hours finished asynchronous jobs are kept for polling (default 24)
+     * options.maxBundleEntries: entries a streamed Bundle may have at most (default 1000000)
+     * options.maxEverythingPages: pages of a Patient/$everything result read at most (default 20)
+     * options.everythingPageTimeoutMs: time to read one Patient/$everything page (default 30000)
+     */
+    constructor(dbPath = ':memory:', options = {}) {
         // Initialize database
         this.db = new Database(dbPath);
         this.initializeDatabase();
+
+        this.terminologyServer = (options.terminologyServer || 'https://tx.fhir.org/r4').replace(/\/+$/, '');
+        this.expansionPageSize = options.expansionPageSize || 1000;
+        this.propagationConfigPath = options.propagationConfigPath || path.join(__dirname, 'propagation-config.json');
+        this.fhirServer = options.fhirServer ? options.fhirServer.replace(/\/+$/, '') : null;
+        this.maxFetchedTargets = options.maxFetchedTargets || 100;
+        this.writeBackRetries = options.writeBackRetries !== undefined ? options.writeBackRetries : 3;
+        this.writeBackBackoffMs = options.writeBackBackoffMs !== undefined ? options.writeBackBackoffMs : 500;
+        this.jobRetentionHours = options.jobRetentionHours || 24;
+        this.maxBundleEntries = options.maxBundleEntries || 1000000;
+        this.maxEverythingPages = options.maxEverythingPages || 20;
+        this.everythingPageTimeoutMs = options.everythingPageTimeoutMs || 30000;
         
         // Supported US Core clinical resources
         this.SUPPORTED_RESOURCES = [
@@ -21,6 +51,38 @@ class FHIRSecurityLabelingService {
         ];
         
         this.LAST_SOURCE_SYNC_URL = 'http://hl7.org/fhir/StructureDefinition/lastSourceSync';
+
+        // FHIR versions whose element names the propagation rules distinguish
+        this.FHIR_VERSIONS = ['R4', 'R4B', 'R5'];
+
+        // Identifies this service as the device agent in generated Provenance
+        this.SLS_DEVICE = {
+            type: 'Device',
+            identifier: {
+                system: 'http://SHIFT-Task-Force.github.io/sls-ri',
+                value: 'fhir-sls-server'
+            },
+            display: 'FHIR Security Labeling Service 1.0.0'
+        };
+
+        // DS4P extensions that mark the meta.security codings applied by this service
+        this.SEC_LABEL_CLASSIFIER_URL = 'http://hl7.org/fhir/uv/security-label-ds4p/StructureDefinition/extension-sec-label-classifier';
+        this.SEC_LABEL_RELATED_ARTIFACT_URL = 'http://hl7.org/fhir/uv/security-label-ds4p/StructureDefinition/extension-sec-label-related-artifact';
+
+        // v3-Confidentiality codes from lowest to highest, for the high-water mark
+        this.CONFIDENTIALITY_SYSTEM = 'http://terminology.hl7.org/CodeSystem/v3-Confidentiality';
+        this.CONFIDENTIALITY_LEVELS = ['U', 'L', 'M', 'N', 'R', 'V'];
+        this.CONFIDENTIALITY_DISPLAY = {
+            U: 'unrestricted',
+            L: 'low',
+            M: 'moderate',
+            N: 'normal',
+            R: 'restricted',
+            V: 'very restricted'
+        };
+
+        // Handling caveats a topic policy can add next to the topic label
+        this.HANDLING_CAVEAT_KINDS = ['refrain', 'obligation', 'purposeOfUse'];
     }
 
     /**
@@ -30,20 +92,13 @@ class FHIRSecurityLabelingService {
         this.db.exec(`
             CREATE TABLE IF NOT EXISTS valuesets (
                 id TEXT PRIMARY KEY,
+                url TEXT,
+                version TEXT,
                 resource TEXT NOT NULL,
                 date TEXT,
                 created_at TEXT DEFAULT CURRENT_TIMESTAMP
             );
 
-            CREATE TABLE IF NOT EXISTS rules (
-                code_key TEXT NOT NULL,
-                topic_code TEXT NOT NULL,
-                topic_system TEXT NOT NULL,
-                topic_display TEXT,
-                created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-                PRIMARY KEY (code_key, topic_code, topic_system)
-            );
-
             CREATE TABLE IF NOT EXISTS metadata (
                 key TEXT PRIMARY KEY,
                 value TEXT NOT NULL,
@@ -55,27 +110,178 @@ class FHIRSecurityLabelingService {
                 value INTEGER DEFAULT 0,
                 updated_at TEXT DEFAULT CURRENT_TIMESTAMP
             );
+
+            CREATE TABLE IF NOT EXISTS audit_events (
+                id TEXT PRIMARY KEY,
+                recorded TEXT NOT NULL,
+                type_code TEXT NOT NULL,
+                subtype_code TEXT NOT NULL,
+                outcome TEXT NOT NULL,
+                resource TEXT NOT NULL
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_audit_events_recorded ON audit_events (recorded);
+
+            CREATE TABLE IF NOT EXISTS jobs (
+                id TEXT PRIMARY KEY,
+                operation TEXT NOT NULL,
+                status TEXT NOT NULL,
+                parameters TEXT NOT NULL,
+                input TEXT,
+                client_address TEXT,
+                progress TEXT,
+                status_code INTEGER,
+                result TEXT,
+                created_at TEXT NOT NULL,
+                updated_at TEXT NOT NULL
+            );
         `);
 
+        this.migrateDatabase();
+        this.createRulesTable();
+        this.createTopicPoliciesTable();
+        this.createExpansionCacheTable();
+
+        if (this.migrateTopicPoliciesOnStartup) {
+            this.db.exec(`
+                INSERT INTO topic_policies (topic_system, topic_code, confidentiality, created_at)
+                SELECT topic_system, topic_code, confidentiality, created_at FROM topic_policies_legacy;
+                DROP TABLE topic_policies_legacy;
+            `);
+            this.migrateTopicPoliciesOnStartup = false;
+        }
+
         // Initialize stats
         const statsInit = this.db.prepare('INSERT OR IGNORE INTO stats (key, value) VALUES (?, ?)');
         statsInit.run('totalValueSetsProcessed', 0);
         statsInit.run('totalResourcesAnalyzed', 0);
         statsInit.run('totalResourcesLabeled', 0);
         statsInit.run('totalResourcesSkipped', 0);
+
+        // Rules from a legacy database are rebuilt from the stored ValueSets so they carry their source
+        if (this.rebuildRulesOnStartup) {
+            this.buildRules(this.getStoredValueSets());
+            this.rebuildRulesOnStartup = false;
+        }
+    }
+
+    /**
+     * Create the rules table.
+     * Each rule records the ValueSet (id, canonical url, version) that contributed it,
+     * so a single ValueSet can be unloaded or replaced without touching the others.
+     */
+    createRulesTable() {
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS rules (
+                code_key TEXT NOT NULL,
+                topic_code TEXT NOT NULL,
+                topic_system TEXT NOT NULL,
+                topic_display TEXT,
+                valueset_id TEXT NOT NULL,
+                valueset_url TEXT,
+                valueset_version TEXT,
+                created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (code_key, topic_code, topic_system, valueset_id)
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_rules_valueset ON rules (valueset_id);
+        `);
+    }
+
+    /**
+     * Create the expansion cache. Servers may expand the same definition differently (e.g. other
+     * code system versions), so an expansion is only reused for the terminology server that produced it.
+     */
+    createExpansionCacheTable() {
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS expansion_cache (
+                url TEXT NOT NULL,
+                version TEXT NOT NULL,
+                compose_hash TEXT NOT NULL,
+                terminology_server TEXT NOT NULL,
+                expansion TEXT NOT NULL,
+                created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (url, version, compose_hash, terminology_server)
+            );
+        `);
+    }
+
+    /**
+     * Create the topic policy table: per-topic confidentiality level and handling caveats (JSON),
+     * either of which may be absent
+     */
+    createTopicPoliciesTable() {
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS topic_policies (
+                topic_system TEXT NOT NULL,
+                topic_code TEXT NOT NULL,
+                confidentiality TEXT,
+                handling TEXT,
+                created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (topic_system, topic_code)
+            );
+        `);
+    }
+
+    /**
+     * Upgrade databases created by earlier versions of the service
+     */
+    migrateDatabase() {
+        const valueSetColumns = this.db.prepare('PRAGMA table_info(valuesets)').all().map(c => c.name);
+        if (!valueSetColumns.includes('url')) {
+            this.db.exec('ALTER TABLE valuesets ADD COLUMN url TEXT');
+            this.db.exec('ALTER TABLE valuesets ADD COLUMN version TEXT');
+
+            const updateStmt = this.db.prepare('UPDATE valuesets SET url = ?, version = ? WHERE id = ?');
+            for (const vs of this.getStoredValueSets()) {
+                updateStmt.run(vs.url || null, vs.version || null, vs.id);
+            }
+        }
+
+        // The rules primary key cannot be altered in place, so drop the legacy table
+        // and rebuild it from the stored ValueSets once the schema is in place
+        const ruleColumns = this.db.prepare('PRAGMA table_info(rules)').all().map(c => c.name);
+        if (ruleColumns.length > 0 && !ruleColumns.includes('valueset_id')) {
+            this.db.exec('DROP TABLE rules');
+            this.rebuildRulesOnStartup = true;
+        }
+
+        // Cached expansions were keyed without the terminology server; a cache can simply be dropped
+        const cacheColumns = this.db.prepare('PRAGMA table_info(expansion_cache)').all();
+        const serverColumn = cacheColumns.find(c => c.name === 'terminology_server');
+        if (cacheColumns.length > 0 && !(serverColumn && serverColumn.pk > 0)) {
+            this.db.exec('DROP TABLE expansion_cache');
+        }
+
+        // Confidentiality-only policies required a level; keep their rows in the new table
+        const policyColumns = this.db.prepare('PRAGMA table_info(topic_policies)').all().map(c => c.name);
+        if (policyColumns.length > 0 && !policyColumns.includes('handling')) {
+            this.db.exec('ALTER TABLE topic_policies RENAME TO topic_policies_legacy');
+            this.migrateTopicPoliciesOnStartup = true;
+        }
     }
 
     /**
      * API 1: Process ValueSet Bundle or single ValueSet
+     * options.onProgress: called with a progress message before each ValueSet of a Bundle is expanded
+     * and before the rules are stored; an error it throws aborts the load without storing anything
      */
-    async processValueSetBundle(input) {
+    async processValueSetBundle(input, options = {}) {
+        const reportProgress = options.onProgress || (() => {});
         try {
             let valueSets = [];
             let errors = [];
+            let information = [];
             let latestDate = null;
+            let incompleteCount = 0;
 
             // Handle single ValueSet
             if (input && input.resourceType === 'ValueSet') {
+                const downgrade = this.describeValueSetDowngrade(input);
+                if (downgrade) {
+                    return this.createOperationOutcome('error', `Failed to load ValueSet ${input.id || 'unknown'}`, [downgrade]);
+                }
+
                 // Expand if needed
                 if (!input.expansion || !input.expansion.contains) {
                     const expanded = await this.expandValueSet(input);
@@ -86,6 +292,17 @@ class FHIRSecurityLabelingService {
                     }
                 }
 
+                const completeness = this.getExpansionCompleteness(input);
+                // The request is fine, the terminology server fell short: a warning, not an error
+                if (!completeness.complete) {
+                    return this.createOperationOutcome('warning', `ValueSet ${input.id || 'unknown'} not loaded`, [
+                        `ValueSet ${input.id || 'unknown'} expansion is incomplete: retrieved ${completeness.retrieved} of ${completeness.expected} codes`
+                    ]);
+                }
+                if (completeness.expected !== null) {
+                    information.push(`ValueSet ${input.id || 'unknown'}: retrieved ${completeness.retrieved} of ${completeness.expected} codes`);
+                }
+
                 const validation = this.validateValueSet(input);
                 if (validation.errors.length > 0) {
                     return this.createOperationOutcome('error', 'Invalid ValueSet', validation.errors);
@@ -104,17 +321,24 @@ class FHIRSecurityLabelingService {
                     return this.createOperationOutcome('warning', 'Bundle contains no entries');
                 }
 
-                for (const entry of input.entry) {
+                for (const [index, entry] of input.entry.entries()) {
                     let resource = entry.resource;
+                    reportProgress(`Loading entry ${index + 1} of ${input.entry.length}`);
                     
                     if (!resource || resource.resourceType !== 'ValueSet') {
                         errors.push(`Skipping non-ValueSet resource: ${resource?.resourceType || 'unknown'}`);
                         continue;
                     }
 
+                    const downgrade = this.describeValueSetDowngrade(resource, valueSets);
+                    if (downgrade) {
+                        errors.push(downgrade);
+                        continue;
+                    }
+
                     // Expand if needed
                     if (!resource.expansion || !resource.expansion.contains) {
-                        const expanded = await this.expandValueSet(resource);
+                        const expanded = await this.expandValueSet(resource, valueSets);
                         if (expanded) {
                             resource = expanded;
                         } else {
@@ -123,6 +347,16 @@ class FHIRSecurityLabelingService {
                         }
                     }
 
+                    const completeness = this.getExpansionCompleteness(resource);
+                    if (!completeness.complete) {
+                        errors.push(`ValueSet ${resource.id || 'unknown'} expansion is incomplete: retrieved ${completeness.retrieved} of ${completeness.expected} codes; not loaded`);
+                        incompleteCount++;
+                        continue;
+                    }
+                    if (completeness.expected !== null) {
+                        information.push(`ValueSet ${resource.id || 'unknown'}: retrieved ${completeness.retrieved} of ${completeness.expected} codes`);
+                    }
+
                     const validation = this.validateValueSet(resource);
                     if (validation.errors.length > 0) {
                         errors.push(...validation.errors);
@@ -146,12 +380,17 @@ class FHIRSecurityLabelingService {
             }
 
             if (valueSets.length === 0) {
-                return this.createOperationOutcome('error', 'No valid ValueSets found', errors);
+                return incompleteCount === errors.length
+                    ? this.createOperationOutcome('warning', 'No ValueSets loaded: their expansions are incomplete', errors)
+                    : this.createOperationOutcome('error', 'No valid ValueSets found', errors);
             }
 
             // Store ValueSets and build rules
-            this.storeValueSets(valueSets, latestDate);
-            this.buildRules(valueSets);
+            reportProgress(`Building rules from ${valueSets.length} ValueSet(s)`);
+            this.db.transaction(() => {
+                this.storeValueSets(valueSets, latestDate);
+                this.buildRules(valueSets);
+            })();
 
             // Update statistics
             this.incrementStat('totalValueSetsProcessed', valueSets.length);
@@ -159,7 +398,8 @@ class FHIRSecurityLabelingService {
             return this.createOperationOutcome(
                 'success',
                 `Successfully processed ${valueSets.length} ValueSet(s)`,
-                errors.length > 0 ? errors : null
+                errors.length > 0 ? errors : null,
+                information
             );
 
         } catch (error) {
@@ -169,19 +409,409 @@ class FHIRSecurityLabelingService {
     }
 
     /**
-     * Expand a ValueSet using tx.fhir.org if no expansion present
+     * Expand a ValueSet in-process when its compose only enumerates codes:
+     * include/exclude concept lists and imports (valueSet) of ValueSets that are already loaded
+     * or appear earlier in the same load. Returns null when any include or exclude uses a filter
+     * or a whole code system, or imports an unknown ValueSet; those need a terminology server.
+     */
+    expandValueSetLocally(valueSet, loadedValueSets = []) {
+        const compose = valueSet.compose;
+        if (!compose || !compose.include || compose.include.length === 0) {
+            return null;
+        }
+
+        const used = { codeSystems: new Set(), valueSets: new Set() };
+        const included = new Map();
+
+        for (const include of compose.include) {
+            const codes = this.resolveComposeClause(include, loadedValueSets, used);
+            if (!codes) {
+                return null;
+            }
+            for (const [key, entry] of codes) {
+                if (!included.has(key)) {
+                    included.set(key, entry);
+                }
+            }
+        }
+
+        for (const exclude of compose.exclude || []) {
+            const codes = this.resolveComposeClause(exclude, loadedValueSets, used);
+            if (!codes) {
+                return null;
+            }
+            for (const key of codes.keys()) {
+                included.delete(key);
+            }
+        }
+
+        const contains = Array.from(included.values());
+        const parameter = [{ name: 'expansion-source', valueString: 'local' }];
+        for (const system of used.codeSystems) {
+            parameter.push({ name: 'used-codesystem', valueUri: system });
+        }
+        for (const canonical of used.valueSets) {
+            parameter.push({ name: 'used-valueset', valueUri: canonical });
+        }
+
+        return {
+            ...valueSet,
+            expansion: {
+                timestamp: new Date().toISOString(),
+                total: contains.length,
+                parameter: parameter,
+                contains: contains
+            }
+        };
+    }
+
+    /**
+     * Resolve one compose include/exclude into a Map of system|code to expansion.contains entries.
+     * Imported ValueSets are intersected with each other and with any concepts or system given.
+     * Returns null if the clause cannot be expanded locally.
+     */
+    resolveComposeClause(clause, loadedValueSets, used) {
+        if (clause.filter && clause.filter.length > 0) {
+            return null;
+        }
+
+        const imports = clause.valueSet || [];
+        let codes = null;
+
+        if (clause.concept && clause.concept.length > 0) {
+            if (!clause.system) {
+                return null;
+            }
+            codes = new Map();
+            for (const concept of clause.concept) {
+                const entry = { system: clause.system, code: concept.code };
+                if (clause.version) {
+                    entry.version = clause.version;
+                }
+                if (concept.display) {
+                    entry.display = concept.display;
+                }
+                codes.set(`${clause.system}|${concept.code}`, entry);
+            }
+        } else if (clause.system && imports.length === 0) {
+            // All codes of a code system - only a terminology server knows them
+            return null;
+        }
+
+        if (clause.system) {
+            used.codeSystems.add(clause.version ? `${clause.system}|${clause.version}` : clause.system);
+        }
+
+        for (const canonical of imports) {
+            const imported = this.findLoadedValueSet(canonical, loadedValueSets);
+            if (!imported) {
+                return null;
+            }
+            used.valueSets.add(canonical);
+
+            const importedCodes = new Map();
+            this.collectExpansionCodes(imported.expansion.contains, importedCodes);
+
+            if (codes === null) {
+                codes = clause.system
+                    ? new Map([...importedCodes].filter(([, entry]) => entry.system === clause.system))
+                    : importedCodes;
+            } else {
+                codes = new Map([...codes].filter(([key]) => importedCodes.has(key)));
+            }
+        }
+
+        return codes;
+    }
+
+    /**
+     * Find an expanded ValueSet by canonical (url or url|version), preferring ValueSets from the current load
+     */
+    findLoadedValueSet(canonical, loadedValueSets) {
+        const [url, version] = canonical.split('|');
+        const candidates = [...loadedValueSets, ...(this.getStoredValueSets())];
+        return candidates.find(vs =>
+            vs.url === url &&
+            (!version || vs.version === version) &&
+            vs.expansion && vs.expansion.contains
+        ) || null;
+    }
+
+    /**
+     * Flatten (possibly nested) expansion.contains into a Map of system|code to entry
+     */
+    collectExpansionCodes(contains, codes) {
+        for (const item of contains || []) {
+            if (item.system && item.code && !item.abstract) {
+                const entry = { system: item.system, code: item.code };
+                if (item.version) {
+                    entry.version = item.version;
+                }
+                if (item.display) {
+                    entry.display = item.display;
+                }
+                codes.set(`${item.system}|${item.code}`, entry);
+            }
+            if (item.contains) {
+                this.collectExpansionCodes(item.contains, codes);
+            }
+        }
+    }
+
+    /**
+     * Load sensitive-topic ValueSets from a FHIR NPM package (.tgz).
+     * Reads package/*.json, keeps ValueSets with a topic or useContext focus and loads each of them
+     * through processValueSetBundle. Returns an OperationOutcome with one or more issues per file.
+     */
+    async processPackage(buffer) {
+        let files;
+        try {
+            files = this.readPackageFiles(buffer);
+        } catch (error) {
+            return this.createOperationOutcome('error', `Invalid package: ${error.message}`);
+        }
+
+        let packageId = 'package';
+        const manifest = files.find(file => file.name === 'package/package.json');
+        if (manifest) {
+            try {
+                const info = JSON.parse(manifest.content.toString('utf8'));
+                packageId = `${info.name}#${info.version}`;
+            } catch (error) {
+                // An unreadable manifest does not prevent loading the resources
+            }
+        }
+
+        const fileIssues = [];
+        const candidates = [];
+        for (const file of files) {
+            if (!/^package\/[^/]+\.json$/.test(file.name) || file.name === 'package/package.json' || file.name === 'package/.index.json') {
+                continue;
+            }
+
+            let resource;
+            try {
+                resource = JSON.parse(file.content.toString('utf8'));
+            } catch (error) {
+                fileIssues.push(this.createFileIssue(file.name, 'warning', 'invalid', 'Not valid JSON; skipped'));
+                continue;
+            }
+
+            if (!resource || resource.resourceType !== 'ValueSet') {
+                continue;
+            }
+            if (this.extractTopicCodings(resource).length === 0) {
+                fileIssues.push(this.createFileIssue(file.name, 'information', 'informational', `ValueSet ${resource.id || 'unknown'} has no sensitivity topic; skipped`));
+                continue;
+            }
+
+            candidates.push({ name: file.name, resource: resource });
+        }
+
+        // ValueSets that import other ValueSets are loaded last so their imports are available
+        const hasImports = vs => (vs.compose?.include || []).some(include => include.valueSet && include.valueSet.length > 0);
+        candidates.sort((a, b) => hasImports(a.resource) - hasImports(b.resource));
+
+        let loaded = 0;
+        for (const candidate of candidates) {
+            const outcome = await this.processValueSetBundle(candidate.resource);
+            const succeeded = outcome.issue[0].severity !== 'error';
+            if (succeeded) {
+                loaded++;
+            }
+            outcome.issue.forEach((issue, index) => {
+                const severity = index === 0 && succeeded ? 'information' : issue.severity;
+                fileIssues.push(this.createFileIssue(candidate.name, severity, issue.code, issue.diagnostics));
+            });
+        }
+
+        const summary = candidates.length === 0
+            ? this.createOperationOutcome('error', `Package ${packageId} contains no ValueSets with sensitivity topics`)
+            : this.createOperationOutcome(
+                loaded > 0 ? 'success' : 'error',
+                `Loaded ${loaded} of ${candidates.length} sensitive-topic ValueSet(s) from package ${packageId}`
+            );
+        summary.issue.push(...fileIssues);
+
+        return summary;
+    }
+
+    /**
+     * OperationOutcome issue for one file of a package
+     */
+    createFileIssue(fileName, severity, code, message) {
+        return {
+            severity: severity,
+            code: code,
+            diagnostics: `${fileName}: ${message}`,
+            location: [fileName]
+        };
+    }
+
+    /**
+     * Read the regular files of a (gzipped) tar archive as [{ name, content }].
+     * Supports ustar name prefixes, GNU long names and pax path records.
+     */
+    readPackageFiles(buffer) {
+        const tar = buffer[0] === 0x1f && buffer[1] === 0x8b ? zlib.gunzipSync(buffer) : buffer;
+        const files = [];
+        let offset = 0;
+        let longName = null;
+
+        while (offset + 512 <= tar.length) {
+            const header = tar.subarray(offset, offset + 512);
+            if (header.every(byte => byte === 0)) {
+                break;
+            }
+
+            const readString = (start, length) => {
+                const field = header.subarray(start, start + length);
+                const end = field.indexOf(0);
+                return field.subarray(0, end === -1 ? length : end).toString('utf8');
+            };
+
+            const size = parseInt(readString(124, 12).trim() || '0', 8);
+            if (isNaN(size)) {
+                throw new Error(`Corrupt tar header at offset ${offset}`);
+            }
+            const type = header[156] === 0 ? '0' : String.fromCharCode(header[156]);
+            const prefix = readString(345, 155);
+            const name = prefix ? `${prefix}/${readString(0, 100)}` : readString(0, 100);
+            const content = tar.subarray(offset + 512, offset + 512 + size);
+            offset += 512 + Math.ceil(size / 512) * 512;
+
+            if (type === 'x') {
+                const pathRecord = /\d+ path=([^\n]*)\n/.exec(content.toString('utf8'));
+                longName = pathRecord ? pathRecord[1] : null;
+                continue;
+            }
+            if (type === 'L') {
+                longName = content.toString('utf8').replace(/\0+$/, '');
+                continue;
+            }
+            if (type === '0') {
+                files.push({ name: (longName || name).replace(/^\.\//, ''), content: content });
+            }
+            longName = null;
+        }
+
+        if (files.length === 0) {
+            throw new Error('no files found in archive');
+        }
+
+        return files;
+    }
+
+    /**
+     * Expand a ValueSet if no expansion present.
+     * Enumerated compose definitions are expanded locally; everything else uses the configured
+     * terminology server. Remote expansions are cached by canonical url, version and compose hash.
+     */
+    async expandValueSet(valueSet, loadedValueSets = []) {
+        try {
+            const localExpansion = this.expandValueSetLocally(valueSet, loadedValueSets);
+            if (localExpansion) {
+                console.log(`Expanded ValueSet ${valueSet.id || 'unknown'} locally (${localExpansion.expansion.total} codes)`);
+                return localExpansion;
+            }
+
+            const cachedExpansion = this.getCachedExpansion(valueSet);
+            if (cachedExpansion) {
+                console.log(`Using cached expansion for ValueSet ${valueSet.id || 'unknown'} (${cachedExpansion.contains?.length || 0} codes)`);
+                return { ...valueSet, expansion: cachedExpansion };
+            }
+
+            const pageSize = this.expansionPageSize;
+            const expandedValueSet = await this.requestExpansionPage(valueSet, 0, pageSize);
+            if (!expandedValueSet) {
+                return null;
+            }
+
+            // Servers cap large expansions and report the full size in expansion.total - page until complete.
+            // total and offset count every contains entry (abstract, duplicate and nested ones included),
+            // so the pages are kept as received and only the distinct codes decide whether a page was new
+            const expansion = expandedValueSet.expansion;
+            expansion.contains = expansion.contains || [];
+            const codes = new Map();
+            this.collectExpansionCodes(expansion.contains, codes);
+            let received = this.countExpansionEntries(expansion.contains);
+
+            while (typeof expansion.total === 'number' && received < expansion.total) {
+                console.log(`  Partial expansion for ${valueSet.id || 'unknown'}: ${received} of ${expansion.total} codes, requesting offset ${received}`);
+                const page = await this.requestExpansionPage(valueSet, received, pageSize);
+                const before = codes.size;
+                const contains = (page && page.expansion.contains) || [];
+                this.collectExpansionCodes(contains, codes);
+                // Stop if the server returns nothing new (e.g. it ignores offset)
+                if (contains.length === 0 || codes.size === before) {
+                    break;
+                }
+                expansion.contains.push(...contains);
+                received += this.countExpansionEntries(contains);
+            }
+
+            delete expansion.offset;
+
+            if (this.getExpansionCompleteness(expandedValueSet).complete) {
+                this.cacheExpansion(valueSet, expansion);
+            }
+
+            return expandedValueSet;
+
+        } catch (error) {
+            console.error(`Error expanding ValueSet ${valueSet.id || 'unknown'}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Compare the contains entries of an expansion with the expansion.total reported by the server.
+     * expected is null when the server did not report a total.
+     */
+    getExpansionCompleteness(valueSet) {
+        const retrieved = this.countExpansionEntries(valueSet.expansion?.contains);
+        const expected = typeof valueSet.expansion?.total === 'number' ? valueSet.expansion.total : null;
+
+        return {
+            retrieved: retrieved,
+            expected: expected,
+            complete: expected === null || retrieved >= expected
+        };
+    }
+
+    /**
+     * Count the entries of (possibly nested) expansion.contains the way expansion.total and offset do
+     */
+    countExpansionEntries(contains) {
+        let count = 0;
+        for (const item of contains || []) {
+            count += 1 + this.countExpansionEntries(item.contains);
+        }
+        return count;
+    }
+
+    /**
+     * Request one page of a remote expansion from the terminology server
      */
-    async expandValueSet(valueSet) {
+    async requestExpansionPage(valueSet, offset, count) {
         try {
-            console.log(`\n=== Expanding ValueSet ${valueSet.id || 'unknown'} using tx.fhir.org ===`);
+            console.log(`\n=== Expanding ValueSet ${valueSet.id || 'unknown'} using ${this.terminologyServer} (offset ${offset}) ===`);
             
-            const url = 'https://tx.fhir.org/r4/ValueSet/$expand';
+            const url = `${this.terminologyServer}/ValueSet/$expand`;
             const requestBody = {
                 resourceType: 'Parameters',
                 parameter: [
                     {
                         name: 'valueSet',
                         resource: valueSet
+                    },
+                    {
+                        name: 'offset',
+                        valueInteger: offset
+                    },
+                    {
+                        name: 'count',
+                        valueInteger: count
                     }
                 ]
             };
@@ -244,7 +874,7 @@ class FHIRSecurityLabelingService {
             }
 
             // Preserve essential fields from original ValueSet
-            // tx.fhir.org may not return all original fields
+            // The terminology server may not return all original fields
             if (!expandedValueSet.id && valueSet.id) {
                 expandedValueSet.id = valueSet.id;
             }
@@ -275,20 +905,117 @@ class FHIRSecurityLabelingService {
     }
 
     /**
-     * Get the most appropriate date from a ValueSet
-     * Prefers expansion.timestamp over date
+     * Cache key for an expansion: canonical url, version, a hash of the compose definition and the
+     * terminology server that expands it.
+     * ValueSets with neither url nor compose cannot be identified and are not cached.
      */
-    getValueSetDate(valueSet) {
-        // Prefer expansion.timestamp if available
-        if (valueSet.expansion && valueSet.expansion.timestamp) {
-            return new Date(valueSet.expansion.timestamp);
-        }
-        // Fall back to date
-        if (valueSet.date) {
-            return new Date(valueSet.date);
+    getExpansionCacheKey(valueSet) {
+        if (!valueSet.url && !valueSet.compose) {
+            return null;
         }
-        return null;
-    }
+
+        return {
+            url: valueSet.url || '',
+            version: valueSet.version || '',
+            composeHash: crypto.createHash('sha256').update(this.canonicalJson(valueSet.compose || null)).digest('hex'),
+            terminologyServer: this.terminologyServer
+        };
+    }
+
+    /**
+     * JSON with sorted object keys, so equal compose definitions hash the same
+     */
+    canonicalJson(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => this.canonicalJson(item)).join(',')}]`;
+        }
+        if (value && typeof value === 'object') {
+            return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${this.canonicalJson(value[key])}`).join(',')}}`;
+        }
+        return JSON.stringify(value);
+    }
+
+    getCachedExpansion(valueSet) {
+        const key = this.getExpansionCacheKey(valueSet);
+        if (!key) {
+            return null;
+        }
+
+        const row = this.db.prepare(
+            'SELECT expansion FROM expansion_cache WHERE url = ? AND version = ? AND compose_hash = ? AND terminology_server = ?'
+        ).get(key.url, key.version, key.composeHash, key.terminologyServer);
+        return row ? JSON.parse(row.expansion) : null;
+    }
+
+    cacheExpansion(valueSet, expansion) {
+        const key = this.getExpansionCacheKey(valueSet);
+        if (!key || !expansion) {
+            return;
+        }
+
+        this.db.prepare(`
+            INSERT OR REPLACE INTO expansion_cache (url, version, compose_hash, terminology_server, expansion, created_at)
+            VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+        `).run(key.url, key.version, key.composeHash, key.terminologyServer, JSON.stringify(expansion));
+    }
+
+    /**
+     * Get the most appropriate date from a ValueSet
+     * Prefers expansion.timestamp over date
+     */
+    getValueSetDate(valueSet) {
+        // Prefer expansion.timestamp if available
+        if (valueSet.expansion && valueSet.expansion.timestamp) {
+            return new Date(valueSet.expansion.timestamp);
+        }
+        // Fall back to date
+        if (valueSet.date) {
+            return new Date(valueSet.date);
+        }
+        return null;
+    }
+
+    /**
+     * Why loading valueSet would be a downgrade: a newer version of its canonical url is already
+     * loaded, or comes earlier in the same load (loading). Returns null when it is not.
+     */
+    describeValueSetDowngrade(valueSet, loading = []) {
+        if (!valueSet.url) {
+            return null;
+        }
+        const stored = this.db.prepare('SELECT id, url, version, date FROM valuesets WHERE url = ?').all(valueSet.url);
+        const newer = [...stored, ...loading.filter(other => other.url === valueSet.url)]
+            .find(other => this.compareValueSetVersions(valueSet, other) < 0);
+        if (!newer) {
+            return null;
+        }
+        const describe = vs => vs.version ? `version ${vs.version}${vs.date ? ` (${vs.date})` : ''}` : `the version of ${vs.date}`;
+        return `ValueSet ${valueSet.id || 'unknown'} not loaded: ${describe(valueSet)} of ${valueSet.url} is older than ` +
+            `${describe(newer)} (ValueSet ${newer.id}); unload that first to go back to an older version`;
+    }
+
+    /**
+     * Order two versions of the same canonical ValueSet: by version when both are dot-separated numbers
+     * (1.0.2, 20240101), else by date when both have one. Returns a negative number when a is older than
+     * b, a positive one when it is newer, 0 for the same version and null when they cannot be ordered.
+     */
+    compareValueSetVersions(a, b) {
+        const parseVersion = version => /^\d+(\.\d+)*$/.test(version || '') ? version.split('.').map(Number) : null;
+        const [left, right] = [parseVersion(a.version), parseVersion(b.version)];
+        if (left && right) {
+            for (let i = 0; i < Math.max(left.length, right.length); i++) {
+                if ((left[i] || 0) !== (right[i] || 0)) {
+                    return (left[i] || 0) - (right[i] || 0);
+                }
+            }
+            return 0;
+        }
+        if (a.version && a.version === b.version) {
+            return 0;
+        }
+        const [leftDate, rightDate] = [Date.parse(a.date), Date.parse(b.date)];
+        return Number.isNaN(leftDate) || Number.isNaN(rightDate) ? null : leftDate - rightDate;
+    }
 
     /**
      * Validate a ValueSet resource
@@ -353,11 +1080,20 @@ class FHIRSecurityLabelingService {
      */
     storeValueSets(valueSets, latestDate) {
         const insertStmt = this.db.prepare(
-            'INSERT OR REPLACE INTO valuesets (id, resource, date) VALUES (?, ?, ?)'
+            'INSERT OR REPLACE INTO valuesets (id, url, version, resource, date) VALUES (?, ?, ?, ?, ?)'
         );
+        const supersededStmt = this.db.prepare('SELECT id FROM valuesets WHERE url = ? AND id != ?');
 
         for (const vs of valueSets) {
-            insertStmt.run(vs.id, JSON.stringify(vs), vs.date || null);
+            // Another version of the same canonical ValueSet stored under a different id is replaced
+            // (processValueSetBundle has already refused older ones)
+            if (vs.url) {
+                for (const superseded of supersededStmt.all(vs.url, vs.id)) {
+                    this.deleteValueSet(superseded.id);
+                }
+            }
+
+            insertStmt.run(vs.id, vs.url || null, vs.version || null, JSON.stringify(vs), vs.date || null);
         }
 
         // Update latest date if needed
@@ -373,11 +1109,18 @@ class FHIRSecurityLabelingService {
      * Build internal rule set from ValueSets
      */
     buildRules(valueSets) {
-        const insertStmt = this.db.prepare(
-            'INSERT OR REPLACE INTO rules (code_key, topic_code, topic_system, topic_display) VALUES (?, ?, ?, ?)'
-        );
+        this.topicValueSetCache = null;
+        const insertStmt = this.db.prepare(`
+            INSERT OR REPLACE INTO rules
+                (code_key, topic_code, topic_system, topic_display, valueset_id, valueset_url, valueset_version)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `);
+        const deleteStmt = this.db.prepare('DELETE FROM rules WHERE valueset_id = ?');
 
         for (const vs of valueSets) {
+            // Reloading a ValueSet replaces its previous codes rather than merging with them
+            deleteStmt.run(vs.id);
+
             const topicCodings = this.extractTopicCodings(vs);
             if (topicCodings.length === 0) continue; // Should not happen if validation passed
 
@@ -392,7 +1135,8 @@ class FHIRSecurityLabelingService {
                     this.extractCodesFromExpansion(
                         vs.expansion.contains,
                         insertStmt,
-                        { code: topicCode, system: topicSystem, display: topicDisplay }
+                        { code: topicCode, system: topicSystem, display: topicDisplay },
+                        vs
                     );
                 }
             }
@@ -402,23 +1146,85 @@ class FHIRSecurityLabelingService {
     /**
      * Recursively extract codes from ValueSet expansion
      */
-    extractCodesFromExpansion(contains, insertStmt, topic) {
+    extractCodesFromExpansion(contains, insertStmt, topic, valueSet) {
         for (const item of contains) {
             if (item.code && item.system) {
                 const key = `${item.system}|${item.code}`;
-                insertStmt.run(key, topic.code, topic.system, topic.display);
+                insertStmt.run(
+                    key, topic.code, topic.system, topic.display,
+                    valueSet.id, valueSet.url || null, valueSet.version || null
+                );
             }
 
             if (item.contains) {
-                this.extractCodesFromExpansion(item.contains, insertStmt, topic);
+                this.extractCodesFromExpansion(item.contains, insertStmt, topic, valueSet);
+            }
+        }
+    }
+
+    /**
+     * Unload a single ValueSet: remove it and the rules it contributed, then recompute the knowledge date.
+     * Returns false if no ValueSet with that id is loaded.
+     */
+    unloadValueSet(id) {
+        const existing = this.db.prepare('SELECT id FROM valuesets WHERE id = ?').get(id);
+        if (!existing) {
+            return false;
+        }
+
+        this.db.transaction(() => {
+            this.deleteValueSet(id);
+            this.recomputeLatestDate();
+        })();
+
+        return true;
+    }
+
+    /**
+     * Delete a stored ValueSet and its rules
+     */
+    deleteValueSet(id) {
+        this.topicValueSetCache = null;
+        this.db.prepare('DELETE FROM rules WHERE valueset_id = ?').run(id);
+        this.db.prepare('DELETE FROM valuesets WHERE id = ?').run(id);
+    }
+
+    /**
+     * Recompute the latest knowledge date from the ValueSets still loaded
+     */
+    recomputeLatestDate() {
+        let latestDate = null;
+        for (const vs of this.getStoredValueSets()) {
+            const vsDate = this.getValueSetDate(vs);
+            if (vsDate && (!latestDate || vsDate > latestDate)) {
+                latestDate = vsDate;
             }
         }
+
+        this.db.prepare("DELETE FROM metadata WHERE key IN ('latestDate', 'earliestDate')").run();
+        if (latestDate) {
+            this.setMetadata('latestDate', latestDate.toISOString());
+        }
+    }
+
+    /**
+     * Get all stored ValueSet resources
+     */
+    getStoredValueSets() {
+        return this.db.prepare('SELECT resource FROM valuesets').all().map(row => JSON.parse(row.resource));
     }
 
     /**
      * API 2: Analyze and Tag Resources
+     * Referenced resources that should receive propagated topics but are not in the Bundle are listed
+     * in the unresolved-propagation-targets extension of the returned Bundle.
+     * options.serverEntries: entries read from the FHIR server (see fetchMissingPropagationTargets); they take
+     * part in propagation only and are returned, with If-Match on their versionId, when they gain labels
+     * options.provenance: 'resource' adds one Provenance per labeled resource, 'run' adds one for the whole run
+     * options.fhirVersion: FHIR version (R4, R4B, R5 or 4.0/4.3/5.0) whose element names propagation follows; detected when absent
+     * options.explain: collector explainResourceBundle passes to record why each label is applied; statistics are then not updated
      */
-    analyzeResourceBundle(bundle) {
+    analyzeResourceBundle(bundle, options = {}) {
         try {
             if (!bundle || bundle.resourceType !== 'Bundle') {
                 throw new Error('Invalid Bundle: resourceType must be "Bundle"');
@@ -437,29 +1243,21 @@ class FHIRSecurityLabelingService {
             const rules = this.getAllRules();
             const latestDate = this.getMetadata('latestDate') || this.getMetadata('earliestDate');
             const batchEntries = [];
+            const labeledTopics = {};
+            const explain = options.explain || null;
+            const slsTopicKeys = explain ? this.getSlsTopicKeys() : null;
             let analyzed = 0;
             let labeled = 0;
             let skipped = 0;
 
-            // Build maps of target resources present in the bundle for tag propagation
-            const propagationIndex = {
-                Encounter: {},
-                EpisodeOfCare: {},
-                Condition: {}
-            };
-            for (const entry of bundle.entry) {
-                const resource = entry.resource;
-                if (resource && resource.id && propagationIndex[resource.resourceType]) {
-                    propagationIndex[resource.resourceType][`${resource.resourceType}/${resource.id}`] = resource;
-                }
-            }
+            // Build maps of resources present in the bundle for tag propagation
+            const fhirVersion = this.resolveFhirVersion(bundle, options.fhirVersion);
+            const propagationRules = this.getPropagationRules(fhirVersion);
+            const serverEntries = options.serverEntries || [];
+            const propagationIndex = this.createPropagationIndex([...bundle.entry, ...serverEntries]);
 
             // Tracks sensitive topics to propagate to referenced resources
-            const propagationTopicsMap = {
-                Encounter: {},
-                EpisodeOfCare: {},
-                Condition: {}
-            };
+            const propagationTopicsMap = {};
 
             for (const entry of bundle.entry) {
                 const resource = entry.resource;
@@ -468,60 +1266,83 @@ class FHIRSecurityLabelingService {
                     continue;
                 }
 
-                // Collect existing sensitivity labels for propagation even when skipped
-                this.collectPropagatedTopicsFromResource(resource, propagationIndex, propagationTopicsMap, rules);
+                const ref = resource.id || !entry.fullUrl ? `${resource.resourceType}/${resource.id}` : this.stripHistory(entry.fullUrl);
+                if (explain) {
+                    this.explainAssertedLabels(explain, ref, resource, slsTopicKeys);
+                }
 
                 if (this.shouldSkipResource(resource, latestDate)) {
+                    if (explain) {
+                        explain.resources[ref].status = 'skipped';
+                    }
                     skipped++;
                     continue;
                 }
 
                 analyzed++;
 
-                const matchedTopics = this.analyzeResource(resource, rules);
+                const matchedTopics = explain ? this.explainResourceCodes(explain, ref, resource, rules) : this.analyzeResource(resource, rules);
 
                 if (matchedTopics.length > 0) {
                     this.applySecurityLabels(resource, matchedTopics);
+                    this.recordLabeledTopics(labeledTopics, this.getEntryKey(resource, entry.fullUrl), matchedTopics);
                     labeled++;
+                } else {
+                    this.applyUnmatchedConfidentiality(resource);
                 }
-
-                // Collect effective sensitivity labels (including newly applied labels)
-                this.collectPropagatedTopicsFromResource(resource, propagationIndex, propagationTopicsMap, rules);
+                this.labelContainedResources(resource, rules, explain, ref);
 
                 this.addLastSourceSync(resource);
-                batchEntries.push(this.createBatchEntry(resource));
+                batchEntries.push(this.createBatchEntry(resource, entry.fullUrl));
             }
 
-            // Apply propagated topics to referenced resources
-            for (const [resourceType, topicsByRef] of Object.entries(propagationTopicsMap)) {
-                for (const [resourceRef, topicsSet] of Object.entries(topicsByRef)) {
-                    const resource = propagationIndex[resourceType][resourceRef];
-                    if (!resource) {
-                        continue;
-                    }
+            // Propagate sensitivity labels (including skipped resources' existing labels) through the reference graph
+            const unresolvedTargets = {};
+            this.collectPropagatedTopics(propagationIndex, propagationTopicsMap, rules, propagationRules,
+                explain && explain.propagationSources, unresolvedTargets);
 
-                    this.applySecurityLabels(resource, Array.from(topicsSet));
-                    this.addLastSourceSync(resource);
-                    // Add target resource to batch if not already present (e.g., it was skipped earlier)
-                    const alreadyInBatch = batchEntries.some(
-                        e => e.resource && e.resource.resourceType === resourceType && e.resource.id === resource.id
-                    );
-                    if (!alreadyInBatch) {
-                        batchEntries.push(this.createBatchEntry(resource));
+            // Resources read from the FHIR server are only returned when propagation changes their labels
+            const serverLabels = new Map(serverEntries.map(entry => [entry.resource, JSON.stringify(entry.resource.meta && entry.resource.meta.security)]));
+
+            // Apply propagated topics to referenced resources
+            for (const resource of this.applyPropagatedTopics(propagationIndex, propagationTopicsMap, labeledTopics)) {
+                if (serverLabels.has(resource) && serverLabels.get(resource) === JSON.stringify(resource.meta && resource.meta.security)) {
+                    continue;
+                }
+                this.addLastSourceSync(resource);
+                // Add target resource to batch if not already present (e.g., it was skipped earlier)
+                if (!batchEntries.some(e => e.resource === resource)) {
+                    const entry = bundle.entry.find(e => e.resource === resource);
+                    if (entry) {
+                        batchEntries.push(this.createBatchEntry(resource, entry.fullUrl));
+                    } else {
+                        // Read from the FHIR server: update only the version the labels were computed on
+                        batchEntries.push(this.createBatchEntry(resource, null, resource.meta && resource.meta.versionId));
                     }
                 }
             }
 
-            // Update statistics
-            this.incrementStat('totalResourcesAnalyzed', analyzed);
-            this.incrementStat('totalResourcesLabeled', labeled);
-            this.incrementStat('totalResourcesSkipped', skipped);
+            if (explain) {
+                this.explainPropagatedLabels(explain, propagationIndex, propagationTopicsMap);
+                explain.unresolvedTargets = unresolvedTargets;
+            } else {
+                this.incrementStat('totalResourcesAnalyzed', analyzed);
+                this.incrementStat('totalResourcesLabeled', labeled);
+                this.incrementStat('totalResourcesSkipped', skipped);
+            }
 
-            return this.createBatchBundle(batchEntries, {
+            const outputBundle = this.createBatchBundle(batchEntries, {
                 analyzed,
                 labeled,
-                skipped
-            });
+                skipped,
+                fhirVersion
+            }, this.createProvenanceResources(labeledTopics, options.provenance));
+
+            if (Object.keys(unresolvedTargets).length > 0) {
+                outputBundle.extension.push(this.createUnresolvedTargetsExtension(unresolvedTargets));
+            }
+
+            return outputBundle;
 
         } catch (error) {
             console.error('Error analyzing resources:', error);
@@ -529,11 +1350,45 @@ class FHIRSecurityLabelingService {
         }
     }
 
+    /**
+     * API 2 Variant: Analyze and Tag Resources - Return Patches
+     * Analyzes the Bundle as analyzeResourceBundle does, but returns each updated resource as a PATCH
+     * entry that only adds and removes meta.security codings (of the resource and its contained
+     * resources) and sets lastSourceSync, so concurrent changes to other elements are not overwritten.
+     * Entries have If-Match when the input resource had a meta.versionId; resources without an id are
+     * still created with POST.
+     * options.patchFormat: 'fhirpath' (default) for FHIRPath Patch Parameters, 'json' for JSON Patch in a Binary
+     * Other options are those of analyzeResourceBundle.
+     */
+    analyzeResourceBundlePatch(bundle, options = {}) {
+        const patchFormat = options.patchFormat || 'fhirpath';
+        if (patchFormat !== 'fhirpath' && patchFormat !== 'json') {
+            throw new Error('patchFormat must be "fhirpath" or "json"');
+        }
+
+        // The patches are the difference to the resources as they were submitted (or read from the server)
+        const originals = new Map();
+        const entries = [...(bundle && Array.isArray(bundle.entry) ? bundle.entry : []), ...(options.serverEntries || [])];
+        for (const entry of entries) {
+            if (entry && entry.resource) {
+                originals.set(entry.resource, this.snapshotSecurityMeta(entry.resource));
+            }
+        }
+
+        const outputBundle = this.analyzeResourceBundle(bundle, options);
+        outputBundle.entry = outputBundle.entry.map(entry => entry.request.method === 'PUT' && originals.has(entry.resource)
+            ? this.createPatchEntry(entry.resource, originals.get(entry.resource), patchFormat)
+            : entry);
+        return outputBundle;
+    }
+
     /**
      * API 2 Variant: Analyze and Tag Resources - Return Full Bundle
      * Returns a complete bundle with all resources (not just updates)
+     * options.provenance: 'resource' adds one Provenance per labeled resource, 'run' adds one for the whole run
+     * options.fhirVersion: FHIR version (R4, R4B, R5 or 4.0/4.3/5.0) whose element names propagation follows; detected when absent
      */
-    analyzeResourceBundleFull(bundle) {
+    analyzeResourceBundleFull(bundle, options = {}) {
         try {
             if (!bundle || bundle.resourceType !== 'Bundle') {
                 throw new Error('Invalid Bundle: resourceType must be "Bundle"');
@@ -552,28 +1407,15 @@ class FHIRSecurityLabelingService {
             const rules = this.getAllRules();
             const latestDate = this.getMetadata('latestDate') || this.getMetadata('earliestDate');
             const updatedEntries = [];
+            const labeledTopics = {};
             let analyzed = 0;
             let labeled = 0;
             let skipped = 0;
 
             // Tracks sensitive topics to propagate to referenced resources
-            const propagationTopicsMap = {
-                Encounter: {},
-                EpisodeOfCare: {},
-                Condition: {}
-            };
-
-            // Build maps of target resources present in the bundle for reference validation
-            const bundleResourceIndex = {
-                Encounter: {},
-                EpisodeOfCare: {},
-                Condition: {}
-            };
-            for (const entry of bundle.entry) {
-                if (entry.resource && entry.resource.id && bundleResourceIndex[entry.resource.resourceType]) {
-                    bundleResourceIndex[entry.resource.resourceType][`${entry.resource.resourceType}/${entry.resource.id}`] = entry.resource;
-                }
-            }
+            const propagationTopicsMap = {};
+            const fhirVersion = this.resolveFhirVersion(bundle, options.fhirVersion);
+            const propagationRules = this.getPropagationRules(fhirVersion);
 
             // Process all entries from the input bundle
             for (const entry of bundle.entry) {
@@ -588,9 +1430,6 @@ class FHIRSecurityLabelingService {
                     continue;
                 }
 
-                // Collect existing sensitivity labels for propagation even when skipped
-                this.collectPropagatedTopicsFromResource(newEntry.resource, bundleResourceIndex, propagationTopicsMap, rules);
-
                 if (this.shouldSkipResource(resource, latestDate)) {
                     // Keep skipped resources as-is
                     updatedEntries.push(newEntry);
@@ -604,29 +1443,31 @@ class FHIRSecurityLabelingService {
 
                 if (matchedTopics.length > 0) {
                     this.applySecurityLabels(newEntry.resource, matchedTopics);
+                    this.recordLabeledTopics(labeledTopics, this.getEntryKey(newEntry.resource, newEntry.fullUrl), matchedTopics);
                     labeled++;
+                } else {
+                    this.applyUnmatchedConfidentiality(newEntry.resource);
                 }
-
-                // Collect effective sensitivity labels (including newly applied labels)
-                this.collectPropagatedTopicsFromResource(newEntry.resource, bundleResourceIndex, propagationTopicsMap, rules);
+                this.labelContainedResources(newEntry.resource, rules);
 
                 this.addLastSourceSync(newEntry.resource);
                 updatedEntries.push(newEntry);
             }
 
+            // Propagate sensitivity labels (including skipped resources' existing labels) through the reference graph
+            const propagationIndex = this.createPropagationIndex(updatedEntries);
+            const unresolvedTargets = {};
+            this.collectPropagatedTopics(propagationIndex, propagationTopicsMap, rules, propagationRules, null, unresolvedTargets);
+
             // Apply propagated topics to target entries already in updatedEntries
-            for (const entry of updatedEntries) {
-                const resource = entry.resource;
-                if (!resource || !resource.id || !propagationTopicsMap[resource.resourceType]) {
-                    continue;
-                }
+            for (const resource of this.applyPropagatedTopics(propagationIndex, propagationTopicsMap, labeledTopics)) {
+                this.addLastSourceSync(resource);
+            }
 
-                const ref = `${resource.resourceType}/${resource.id}`;
-                const topicsSet = propagationTopicsMap[resource.resourceType][ref];
-                if (topicsSet && topicsSet.size > 0) {
-                    this.applySecurityLabels(resource, Array.from(topicsSet));
-                    this.addLastSourceSync(resource);
-                }
+            // Append Provenance for the labeled resources if requested
+            const isRequestBundle = bundle.type === 'batch' || bundle.type === 'transaction';
+            for (const provenance of this.createProvenanceResources(labeledTopics, options.provenance)) {
+                updatedEntries.push(this.createProvenanceEntry(provenance, isRequestBundle));
             }
 
             // Update statistics
@@ -634,38 +1475,15 @@ class FHIRSecurityLabelingService {
             this.incrementStat('totalResourcesLabeled', labeled);
             this.incrementStat('totalResourcesSkipped', skipped);
 
-            // Create output bundle preserving original bundle structure
-            const outputBundle = {
-                resourceType: 'Bundle',
-                ...(bundle.id && { id: bundle.id }),
-                type: bundle.type || 'collection',
-                ...(bundle.identifier && { identifier: bundle.identifier }),
-                ...(bundle.timestamp && { timestamp: bundle.timestamp }),
-                meta: {
-                    lastUpdated: new Date().toISOString(),
-                    tag: [{
-                        system: 'http://example.org/fhir/CodeSystem/sls-processing',
-                        code: 'sls-tagged',
-                        display: 'SLS Security Labeled'
-                    }]
-                },
-                ...(bundle.total !== undefined && { total: bundle.total }),
-                ...(bundle.link && { link: bundle.link }),
-                entry: updatedEntries,
-                extension: [{
-                    url: 'http://example.org/fhir/StructureDefinition/processing-summary',
-                    extension: [
-                        { url: 'analyzed', valueInteger: analyzed },
-                        { url: 'labeled', valueInteger: labeled },
-                        { url: 'skipped', valueInteger: skipped }
-                    ]
-                }]
-            };
+            const outputBundle = this.createFullBundle(bundle, updatedEntries, {
+                analyzed,
+                labeled,
+                skipped,
+                fhirVersion
+            });
 
-            // Add distinct security labels to bundle meta
-            const securityLabels = this.collectDistinctSecurityLabels(updatedEntries);
-            if (securityLabels.length > 0) {
-                outputBundle.meta.security = securityLabels;
+            if (Object.keys(unresolvedTargets).length > 0) {
+                outputBundle.extension.push(this.createUnresolvedTargetsExtension(unresolvedTargets));
             }
 
             return outputBundle;
@@ -677,162 +1495,2208 @@ class FHIRSecurityLabelingService {
     }
 
     /**
-     * Get all rules from database
+     * API 2 Variant: Analyze and Tag Bulk Data NDJSON
+     * Labels the resources of one or more NDJSON streams (e.g. the files of a Bulk Data $export) and writes
+     * the resources batch mode would return to output as NDJSON. The input is spooled into a temporary
+     * SQLite index on disk, so propagation is resolved across all streams without holding them in memory.
+     * NDJSON has no fullUrls: references are resolved by ResourceType/<id> and #<id> only.
+     * A resource repeated within or across streams is labeled once, in the version read last.
+     * options.fhirVersion as for analyzeResourceBundle, except that R4 is assumed when absent.
+     * Returns a Parameters summary (analyzed, labeled, skipped, propagated, fhirVersion).
      */
-    getAllRules() {
-        const rows = this.db.prepare('SELECT * FROM rules').all();
-        const rules = {};
-        for (const row of rows) {
-            if (!rules[row.code_key]) {
-                rules[row.code_key] = [];
-            }
-            rules[row.code_key].push({
-                code: row.topic_code,
-                system: row.topic_system,
-                display: row.topic_display
-            });
+    async analyzeNdjson(inputs, output, options = {}) {
+        const rulesCount = this.db.prepare('SELECT COUNT(*) as count FROM rules').get();
+        if (rulesCount.count === 0) {
+            throw new Error('No sensitive topic rules loaded. Please process ValueSets first (API 1).');
+        }
+
+        const rules = this.getAllRules();
+        const fhirVersion = this.resolveFhirVersion({ entry: [] }, options.fhirVersion);
+        const propagationRules = this.getPropagationRules(fhirVersion);
+
+        const { index, directory } = this.createTemporaryIndex('sls-ndjson-');
+        try {
+            index.exec('CREATE TABLE resources (seq INTEGER PRIMARY KEY, key TEXT UNIQUE, json TEXT)');
+
+            await this.indexNdjson(index, inputs, rules, propagationRules);
+            this.propagateIndexedTopics(index);
+            const stats = await this.writeLabeledNdjson(index, output, rules);
+
+            this.incrementStat('totalResourcesAnalyzed', stats.analyzed);
+            this.incrementStat('totalResourcesLabeled', stats.labeled);
+            this.incrementStat('totalResourcesSkipped', stats.skipped);
+
+            return {
+                resourceType: 'Parameters',
+                parameter: [{
+                    name: 'summary',
+                    part: [
+                        { name: 'analyzed', valueInteger: stats.analyzed },
+                        { name: 'labeled', valueInteger: stats.labeled },
+                        { name: 'skipped', valueInteger: stats.skipped },
+                        { name: 'propagated', valueInteger: stats.propagated },
+                        { name: 'fhirVersion', valueCode: fhirVersion }
+                    ]
+                }]
+            };
+        } finally {
+            this.removeTemporaryIndex(index, directory);
         }
-        return rules;
     }
 
     /**
-     * Normalize a reference to a relative "ResourceType/<id>" key.
-     * Handles absolute URLs (e.g. http://example.org/fhir/Encounter/123) and
-     * relative references (e.g. Encounter/123).
+     * Create a SQLite database in a new temporary directory, for propagation over inputs too large to
+     * hold in memory: the nodes (resources and contained resources, by key), the edges topics flow along
+     * and the topics (labels) each node holds itself or receives (propagated = 1).
      */
-    normalizeResourceRef(reference, resourceType) {
-        if (!reference) return null;
-        const match = reference.match(new RegExp(`${resourceType}\/([^/]+)$`));
-        return match ? `${resourceType}/${match[1]}` : null;
+    createTemporaryIndex(prefix) {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+        const index = new Database(path.join(directory, 'index.db'));
+        try {
+            index.pragma('journal_mode = OFF');
+            index.pragma('synchronous = OFF');
+            index.exec(`
+                CREATE TABLE nodes (key TEXT PRIMARY KEY, resource_type TEXT);
+                CREATE TABLE edges (source TEXT, target TEXT, topics TEXT);
+                CREATE TABLE labels (key TEXT, topic TEXT, topic_json TEXT, propagated INTEGER, PRIMARY KEY (key, topic));
+            `);
+        } catch (error) {
+            this.removeTemporaryIndex(index, directory);
+            throw error;
+        }
+        return { index, directory };
+    }
+
+    removeTemporaryIndex(index, directory) {
+        index.close();
+        fs.rmSync(directory, { recursive: true, force: true });
     }
 
     /**
-     * Collect propagatable sensitivity topics from a resource into the propagationTopicsMap.
-     * propagationIndex maps each supported target type to a { ResourceType/<id>: resource } object.
+     * Read the NDJSON streams into the index: every supported resource, then the nodes (resources with
+     * an id and their contained resources), the topics each node holds itself and the propagation edges
+     * its references form. A resource repeated within or across streams keeps the place it first
+     * appeared with the version read last, as later lines of a Bulk Data export are the newer ones.
+     * Resources without an id are labeled but take no part in propagation.
      */
-    collectPropagatedTopicsFromResource(resource, propagationIndex, propagationTopicsMap, rules) {
-        const topics = this.getPropagatableTopicsFromResource(resource, rules);
-        if (topics.length === 0) {
-            return;
-        }
-
-        const targets = this.getPropagationTargetsFromResource(resource);
-        for (const target of targets) {
-            const targetRef = this.normalizeResourceRef(target.reference, target.resourceType);
-            if (!targetRef || !propagationIndex[target.resourceType] || !propagationIndex[target.resourceType][targetRef]) {
-                continue;
+    async indexNdjson(index, inputs, rules, propagationRules) {
+        const insertResource = index.prepare('INSERT INTO resources (key, json) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET json = excluded.json');
+        const insertNode = index.prepare('INSERT OR IGNORE INTO nodes (key, resource_type) VALUES (?, ?)');
+        const insertEdge = index.prepare('INSERT INTO edges (source, target, topics) VALUES (?, ?, ?)');
+        const insertLabel = index.prepare('INSERT OR IGNORE INTO labels (key, topic, topic_json, propagated) VALUES (?, ?, ?, 0)');
+        const slsTopicKeys = this.getSlsTopicKeys();
+
+        const indexNode = (key, resource, containerKey, container) => {
+            insertNode.run(key, resource.resourceType);
+            if (containerKey) {
+                insertEdge.run(key, containerKey, null);
             }
 
-            if (!propagationTopicsMap[target.resourceType][targetRef]) {
-                propagationTopicsMap[target.resourceType][targetRef] = new Set();
+            for (const topic of this.getPropagatableTopicsFromResource(resource, rules, slsTopicKeys)) {
+                const parsed = JSON.parse(topic);
+                insertLabel.run(key, `${parsed.system}|${parsed.code}`, topic);
             }
 
-            for (const topic of topics) {
-                propagationTopicsMap[target.resourceType][targetRef].add(topic);
+            for (const link of this.getPropagationTargetsFromResource(resource, propagationRules)) {
+                const target = this.resolveNdjsonReference(containerKey || key, container || resource, link.reference);
+                if (!target || !link.targets.includes(target.resourceType)) {
+                    continue;
+                }
+                const topics = link.topics ? JSON.stringify(link.topics) : null;
+                if (link.direction === 'from-target') {
+                    insertEdge.run(target.key, key, topics);
+                } else {
+                    insertEdge.run(key, target.key, topics);
+                }
             }
-        }
-    }
-
-    /**
-     * Get target resources referenced by the source resource for sensitivity propagation.
-     */
-    getPropagationTargetsFromResource(resource) {
-        const targets = [];
+        };
 
-        if (resource && resource.encounter && resource.encounter.reference) {
-            targets.push({ resourceType: 'Encounter', reference: resource.encounter.reference });
-        }
+        const insertLines = index.transaction(lines => {
+            for (const resource of lines) {
+                insertResource.run(resource.id ? `${resource.resourceType}/${resource.id}` : null, JSON.stringify(resource));
+            }
+        });
 
-        if (resource && resource.resourceType === 'Encounter') {
-            if (Array.isArray(resource.episodeOfCare)) {
-                for (const episodeOfCare of resource.episodeOfCare) {
-                    if (episodeOfCare && episodeOfCare.reference) {
-                        targets.push({ resourceType: 'EpisodeOfCare', reference: episodeOfCare.reference });
-                    }
+        for (const [inputNumber, input] of inputs.entries()) {
+            const lines = readline.createInterface({ input, crlfDelay: Infinity });
+            let lineNumber = 0;
+            let pending = [];
+            for await (const line of lines) {
+                lineNumber++;
+                if (!line.trim()) {
+                    continue;
                 }
-            }
 
-            if (Array.isArray(resource.diagnosis)) {
-                for (const diagnosis of resource.diagnosis) {
-                    if (diagnosis && diagnosis.condition && diagnosis.condition.reference) {
-                        targets.push({ resourceType: 'Condition', reference: diagnosis.condition.reference });
-                    }
+                let resource;
+                try {
+                    resource = JSON.parse(line);
+                } catch (error) {
+                    throw new Error(`Invalid NDJSON in input ${inputNumber + 1} at line ${lineNumber}: ${error.message}`);
+                }
+                if (resource && this.SUPPORTED_RESOURCES.includes(resource.resourceType)) {
+                    pending.push(resource);
+                }
+                if (pending.length >= 1000) {
+                    insertLines(pending);
+                    pending = [];
                 }
             }
+            insertLines(pending);
         }
 
-        // Handle CodeableReference fields that may reference Condition
-        // (e.g., Observation.reason, DiagnosticReport.reason, CarePlan.reason, etc.)
-        if (resource && Array.isArray(resource.reason)) {
-            for (const reasonItem of resource.reason) {
-                if (reasonItem && reasonItem.reference) {
-                    // Extract resource type from reference to determine if it's a Condition
-                    const refMatch = reasonItem.reference.match(/^([^/]+)\/([^/]+)$/);
-                    if (refMatch && refMatch[1] === 'Condition') {
-                        targets.push({ resourceType: 'Condition', reference: reasonItem.reference });
-                    }
+        // Index the versions that were kept, once all streams are read
+        const page = index.prepare('SELECT seq, key, json FROM resources WHERE seq > ? AND key IS NOT NULL ORDER BY seq LIMIT 500');
+        const indexRows = index.transaction(rows => {
+            for (const row of rows) {
+                const resource = JSON.parse(row.json);
+                indexNode(row.key, resource, null, null);
+                for (const contained of this.getContainedResources(resource)) {
+                    indexNode(`${row.key}#${contained.id}`, contained, row.key, resource);
                 }
             }
+        });
+        for (let rows = page.all(0); rows.length > 0; rows = page.all(rows[rows.length - 1].seq)) {
+            indexRows(rows);
         }
+    }
 
-        // Handle CarePlan.addresses that reference Condition
-        if (resource && resource.resourceType === 'CarePlan' && Array.isArray(resource.addresses)) {
-            for (const addressItem of resource.addresses) {
-                if (addressItem && addressItem.reference) {
-                    const refMatch = addressItem.reference.match(/^([^/]+)\/([^/]+)$/);
-                    if (refMatch && refMatch[1] === 'Condition') {
-                        targets.push({ resourceType: 'Condition', reference: addressItem.reference });
-                    }
-                }
+    /**
+     * Resolve a reference of an NDJSON resource (or of a resource contained in container) to
+     * { key, resourceType }: #<id> points into the container, anything else by its ResourceType/<id>.
+     */
+    resolveNdjsonReference(containerKey, container, reference) {
+        if (reference.startsWith('#')) {
+            if (reference === '#') {
+                return { key: containerKey, resourceType: container.resourceType };
             }
+            const contained = this.getContainedResources(container).find(resource => resource.id === reference.slice(1));
+            return contained ? { key: `${containerKey}${reference}`, resourceType: contained.resourceType } : null;
         }
 
-        return targets;
+        const typeId = this.stripHistory(reference).match(/(?:^|\/)(([A-Za-z]+)\/[A-Za-z0-9\-.]{1,64})$/);
+        return typeId ? { key: typeId[1], resourceType: typeId[2] } : null;
     }
 
     /**
-     * Convert resource.meta.security into topic strings expected by applySecurityLabels.
-     * Excludes confidentiality code R because applySecurityLabels adds it automatically.
+     * Push topics along the edges of a temporary index until no node gains one. Topics reached through
+     * an edge are stored with propagated = 1 unless the node holds them itself; edges to resources that
+     * are not in the input are ignored.
      */
-    getPropagatableTopicsFromResource(resource, rules) {
-        const topics = [];
+    propagateIndexedTopics(index) {
+        index.exec('CREATE INDEX IF NOT EXISTS edges_source ON edges (source)');
+        const propagate = index.prepare(`
+            INSERT OR IGNORE INTO labels (key, topic, topic_json, propagated)
+            SELECT e.target, l.topic, l.topic_json, 1
+            FROM edges e
+            JOIN labels l ON l.key = e.source
+            JOIN nodes n ON n.key = e.target
+            WHERE e.topics IS NULL OR EXISTS (SELECT 1 FROM json_each(e.topics) WHERE json_each.value = l.topic)
+            ORDER BY e.rowid, l.rowid
+        `);
+        // Each round carries the topics one reference further
+        let added;
+        do {
+            added = propagate.run().changes;
+        } while (added > 0);
+    }
 
-        if (resource && resource.meta && Array.isArray(resource.meta.security)) {
-            for (const sec of resource.meta.security) {
-                if (!sec || !sec.system || !sec.code) {
-                    continue;
+    /**
+     * Label the indexed resources in input order and write those batch mode would return (analyzed,
+     * or changed by propagation) to output, one resource per line.
+     */
+    async writeLabeledNdjson(index, output, rules) {
+        const latestDate = this.getMetadata('latestDate') || this.getMetadata('earliestDate');
+        const page = index.prepare('SELECT seq, key, json FROM resources WHERE seq > ? ORDER BY seq LIMIT 500');
+        const propagatedTopics = index.prepare('SELECT topic_json FROM labels WHERE key = ? AND propagated = 1 ORDER BY rowid');
+        const stats = { analyzed: 0, labeled: 0, skipped: 0, propagated: 0 };
+
+        let lastSeq = 0;
+        for (let rows = page.all(lastSeq); rows.length > 0; rows = page.all(lastSeq)) {
+            for (const row of rows) {
+                lastSeq = row.seq;
+                const resource = JSON.parse(row.json);
+                const result = this.labelIndexedResource(resource, row.key, propagatedTopics, rules, latestDate);
+                stats[result.analyzed ? 'analyzed' : 'skipped']++;
+                if (result.matchedTopics.length > 0) {
+                    stats.labeled++;
                 }
-
-                const isRestrictedConfidentiality =
-                    sec.system === 'http://terminology.hl7.org/CodeSystem/v3-Confidentiality' && sec.code === 'R';
-
-                if (isRestrictedConfidentiality) {
-                    continue;
+                if (result.propagatedTopics.length > 0) {
+                    stats.propagated++;
                 }
 
-                topics.push(JSON.stringify({
-                    system: sec.system,
-                    code: sec.code,
-                    display: sec.display || sec.code
-                }));
+                if (result.analyzed || result.propagatedTopics.length > 0) {
+                    this.addLastSourceSync(resource);
+                    await this.writeToStream(output, `${JSON.stringify(resource)}\n`);
+                }
             }
         }
+        return stats;
+    }
 
-        // If no existing security labels are present, analyze content directly.
-        // This makes encounter propagation independent from timestamp-based skip logic.
-        if (topics.length === 0 && rules) {
-            return this.analyzeResource(resource, rules);
+    /**
+     * Label a resource read back from a temporary index as batch mode does: analyze it unless it is up
+     * to date, then apply the topics propagated to it and its contained resources (propagatedTopics
+     * selects them by key). Returns { analyzed, matchedTopics, propagatedTopics }.
+     */
+    labelIndexedResource(resource, key, propagatedTopics, rules, latestDate) {
+        const result = { analyzed: false, matchedTopics: [], propagatedTopics: [] };
+
+        if (!this.shouldSkipResource(resource, latestDate)) {
+            result.analyzed = true;
+            result.matchedTopics = this.analyzeResource(resource, rules);
+            if (result.matchedTopics.length > 0) {
+                this.applySecurityLabels(resource, result.matchedTopics);
+            } else {
+                this.applyUnmatchedConfidentiality(resource);
+            }
+            this.labelContainedResources(resource, rules);
         }
 
-        return topics;
+        // Resources without a key (repeated Bundle entries, NDJSON lines without an id) take no part in propagation
+        if (key) {
+            const nodes = [[key, resource], ...this.getContainedResources(resource).map(contained => [`${key}#${contained.id}`, contained])];
+            for (const [nodeKey, node] of nodes) {
+                const topics = propagatedTopics.all(nodeKey).map(label => label.topic_json);
+                if (topics.length > 0) {
+                    this.applySecurityLabels(node, topics);
+                    result.propagatedTopics.push(...topics);
+                }
+            }
+        }
+        return result;
     }
 
     /**
-     * Check if resource should be skipped
+     * Write to a stream, waiting while its buffer is full. Throws when the stream was closed.
      */
-    shouldSkipResource(resource, latestDate) {
-        if (!latestDate || !resource.meta || !resource.meta.extension) {
-            return false;
+    async writeToStream(output, text) {
+        if (!output.write(text)) {
+            await new Promise(resolve => {
+                const resume = () => {
+                    output.off('drain', resume);
+                    output.off('close', resume);
+                    resolve();
+                };
+                output.on('drain', resume);
+                output.on('close', resume);
+            });
+        }
+        if (output.destroyed) {
+            throw new Error('Output closed before all resources were written');
+        }
+    }
+
+    /**
+     * Open the NDJSON files listed in a Bulk Data $export manifest ({ output: [{ type, url }] }).
+     * The urls are paths (or file:// URLs) of local files, which must lie within directory.
+     */
+    openNdjsonManifest(manifest, directory) {
+        if (!manifest || !Array.isArray(manifest.output) || manifest.output.length === 0) {
+            throw new Error('Invalid manifest: \'output\' must list the NDJSON files');
+        }
+
+        const root = path.resolve(directory);
+        const files = manifest.output.map((file, position) => {
+            if (!file || typeof file.url !== 'string') {
+                throw new Error(`Invalid manifest: output[${position}].url is required`);
+            }
+            const filePath = path.resolve(root, file.url.replace(/^file:\/\//, ''));
+            const relative = path.relative(root, filePath);
+            if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+                throw new Error(`Invalid manifest: output[${position}].url is outside the bulk data directory`);
+            }
+            if (!fs.existsSync(filePath)) {
+                throw new Error(`Invalid manifest: output[${position}].url ${file.url} does not exist`);
+            }
+            return filePath;
+        });
+        return files.map(filePath => fs.createReadStream(filePath));
+    }
+
+    /**
+     * API 2 Variant: Analyze and Tag a Bundle Stream
+     * For Bundles too large to parse at once: reads the Bundle from the input stream and writes the Bundle
+     * batch mode (options.mode 'batch', the default) or full mode ('full') returns to output. Memory stays
+     * bounded by the largest entry, as the work is split into two passes over a temporary SQLite index
+     * on disk: the entries are parsed one at a time and indexed as propagation targets, with their
+     * references resolved per the Bundle reference resolution rules; then the topics are propagated
+     * through the index and each entry is labeled and written as it is read back. Unlike
+     * analyzeResourceBundle, propagation targets missing from the Bundle are not reported.
+     * options.provenance and options.fhirVersion as for analyzeResourceBundle; the version is detected
+     * from all entries when absent. Returns the output Bundle without its entries.
+     */
+    async analyzeBundleStream(input, output, options = {}) {
+        const rulesCount = this.db.prepare('SELECT COUNT(*) as count FROM rules').get();
+        if (rulesCount.count === 0) {
+            throw new Error('No sensitive topic rules loaded. Please process ValueSets first (API 1).');
+        }
+
+        const rules = this.getAllRules();
+        const { index, directory } = this.createTemporaryIndex('sls-bundle-');
+        try {
+            index.exec(`
+                CREATE TABLE entries (seq INTEGER PRIMARY KEY, key TEXT, json TEXT);
+                CREATE TABLE aliases (alias TEXT PRIMARY KEY, key TEXT);
+            `);
+
+            const { bundle, entryCount, versionHints } = await this.indexBundleStream(index, input);
+            if (bundle.resourceType !== 'Bundle') {
+                throw new Error('Invalid Bundle: resourceType must be "Bundle"');
+            }
+            if (entryCount === 0) {
+                throw new Error('Bundle contains no entries');
+            }
+
+            const fhirVersion = options.fhirVersion
+                ? this.resolveFhirVersion(bundle, options.fhirVersion)
+                : (versionHints.r5 > versionHints.r4 ? 'R5' : 'R4');
+            this.linkIndexedBundle(index, rules, this.getPropagationRules(fhirVersion));
+            this.propagateIndexedTopics(index);
+            const outputBundle = await this.writeLabeledBundle(index, output, bundle, rules, { ...options, fhirVersion });
+
+            const summary = Object.fromEntries(outputBundle.extension[0].extension.map(item => [item.url, item.valueInteger]));
+            this.incrementStat('totalResourcesAnalyzed', summary.analyzed);
+            this.incrementStat('totalResourcesLabeled', summary.labeled);
+            this.incrementStat('totalResourcesSkipped', summary.skipped);
+
+            return outputBundle;
+        } finally {
+            this.removeTemporaryIndex(index, directory);
+        }
+    }
+
+    /**
+     * First pass over a Bundle stream: store every entry in input order and index the supported
+     * resources as nodes, keyed like createPropagationIndex, with their fullUrl and ResourceType/<id>
+     * as aliases references can be resolved by. Returns the Bundle's other elements, the number of
+     * entries and the FHIR version hints (see countFhirVersionHints) of all entries.
+     */
+    async indexBundleStream(index, input) {
+        const insertEntry = index.prepare('INSERT INTO entries (key, json) VALUES (?, ?)');
+        const insertNode = index.prepare('INSERT OR IGNORE INTO nodes (key, resource_type) VALUES (?, ?)');
+        const insertAlias = index.prepare('INSERT OR IGNORE INTO aliases (alias, key) VALUES (?, ?)');
+        const versionHints = { r4: 0, r5: 0 };
+        let entryCount = 0;
+        let pending = [];
+
+        const indexEntries = index.transaction(entries => {
+            const hints = this.countFhirVersionHints(entries);
+            versionHints.r4 += hints.r4;
+            versionHints.r5 += hints.r5;
+
+            for (const entry of entries) {
+                const resource = entry && entry.resource;
+                let key = null;
+                if (resource && this.SUPPORTED_RESOURCES.includes(resource.resourceType)) {
+                    const fullUrl = entry.fullUrl ? this.stripHistory(entry.fullUrl) : null;
+                    const nodeKey = this.getEntryKey(resource, fullUrl);
+                    // Only the first entry with a key takes part in propagation
+                    if (nodeKey && insertNode.run(nodeKey, resource.resourceType).changes > 0) {
+                        key = nodeKey;
+                        if (fullUrl) {
+                            insertAlias.run(`fullUrl ${fullUrl}`, key);
+                        }
+                        if (resource.id) {
+                            insertAlias.run(`typeId ${key}`, key);
+                        }
+                        for (const contained of this.getContainedResources(resource)) {
+                            insertNode.run(`${key}#${contained.id}`, contained.resourceType);
+                        }
+                    }
+                }
+                insertEntry.run(key, JSON.stringify(entry));
+            }
+        });
+
+        const bundle = await this.parseBundleStream(input, entry => {
+            if (++entryCount > this.maxBundleEntries) {
+                const error = new Error(`Bundle has more than ${this.maxBundleEntries} entries`);
+                error.code = 'too-costly';
+                throw error;
+            }
+            pending.push(entry);
+            if (pending.length >= 500) {
+                indexEntries(pending);
+                pending = [];
+            }
+        });
+        indexEntries(pending);
+
+        return { bundle, entryCount, versionHints };
+    }
+
+    /**
+     * Parse a JSON Bundle from a stream without holding it in memory: each element of the top-level
+     * 'entry' array is passed to onEntry as soon as it is complete. Returns the other elements of the Bundle.
+     */
+    async parseBundleStream(input, onEntry) {
+        const bundle = {};
+        // Expected next: start '{', key '"' or '}', property '"', colon ':', value, next ',' or '}',
+        // entries an entry or ']', entry an entry, nextEntry ',' or ']', end nothing but whitespace
+        let state = 'start';
+        let property = null;
+        let capture = null;
+        let inString = false;
+        let escaped = false;
+        let offset = 0;
+
+        const finishCapture = (chunk, end) => {
+            capture.parts.push(chunk.subarray(capture.start, end));
+            const { kind, parts } = capture;
+            capture = null;
+
+            let value;
+            try {
+                value = JSON.parse(Buffer.concat(parts).toString('utf8'));
+            } catch (error) {
+                throw new Error(`Invalid Bundle JSON: ${error.message}`);
+            }
+            if (kind === 'key') {
+                property = value;
+                state = 'colon';
+            } else if (kind === 'entry') {
+                onEntry(value);
+                state = 'nextEntry';
+            } else {
+                bundle[property] = value;
+                state = 'next';
+            }
+        };
+
+        // A value is captured until it is complete: a string to its closing quote, an object or array
+        // until its brackets balance, a number or literal until the next delimiter
+        const startCapture = (kind, chunk, position) => {
+            const byte = chunk[position];
+            if (!/["{\[\-0-9tfn]/.test(String.fromCharCode(byte))) {
+                throw new Error(`Invalid Bundle JSON: unexpected '${String.fromCharCode(byte)}' at byte ${offset + position}`);
+            }
+            const type = byte === 0x22 ? 'string' : (byte === 0x7b || byte === 0x5b) ? 'container' : 'literal';
+            capture = { kind, type, start: position, parts: [], depth: 1 };
+            inString = type === 'string';
+        };
+
+        // Not a for await loop, which would destroy the input on an error: the caller may still have to
+        // respond on the socket of the request being read
+        const chunks = input[Symbol.asyncIterator]();
+        for (let next = await chunks.next(); !next.done; next = await chunks.next()) {
+            const data = next.value;
+            const chunk = typeof data === 'string' ? Buffer.from(data) : data;
+            for (let i = 0; i < chunk.length; i++) {
+                const byte = chunk[i];
+
+                if (inString) {
+                    if (escaped) {
+                        escaped = false;
+                    } else if (byte === 0x5c) {
+                        escaped = true;
+                    } else if (byte === 0x22) {
+                        inString = false;
+                        if (capture.type === 'string') {
+                            finishCapture(chunk, i + 1);
+                        }
+                    }
+                    continue;
+                }
+
+                const isWhitespace = byte === 0x20 || byte === 0x0a || byte === 0x0d || byte === 0x09;
+                if (capture && capture.type === 'literal' && (isWhitespace || byte === 0x2c || byte === 0x7d || byte === 0x5d)) {
+                    finishCapture(chunk, i);
+                }
+
+                if (capture) {
+                    if (byte === 0x22) {
+                        inString = true;
+                    } else if (capture.type === 'container' && (byte === 0x7b || byte === 0x5b)) {
+                        capture.depth++;
+                    } else if (capture.type === 'container' && (byte === 0x7d || byte === 0x5d) && --capture.depth === 0) {
+                        finishCapture(chunk, i + 1);
+                    }
+                    continue;
+                }
+                if (isWhitespace) {
+                    continue;
+                }
+
+                if (state === 'start' && byte === 0x7b) {
+                    state = 'key';
+                } else if ((state === 'key' || state === 'property') && byte === 0x22) {
+                    startCapture('key', chunk, i);
+                } else if ((state === 'key' || state === 'next') && byte === 0x7d) {
+                    state = 'end';
+                } else if (state === 'colon' && byte === 0x3a) {
+                    state = 'value';
+                } else if (state === 'value' && property === 'entry' && byte === 0x5b) {
+                    state = 'entries';
+                } else if (state === 'value') {
+                    startCapture('property', chunk, i);
+                } else if (state === 'next' && byte === 0x2c) {
+                    state = 'property';
+                } else if ((state === 'entries' || state === 'nextEntry') && byte === 0x5d) {
+                    state = 'next';
+                } else if (state === 'entries' || state === 'entry') {
+                    startCapture('entry', chunk, i);
+                } else if (state === 'nextEntry' && byte === 0x2c) {
+                    state = 'entry';
+                } else {
+                    throw new Error(`Invalid Bundle JSON: unexpected '${String.fromCharCode(byte)}' at byte ${offset + i}`);
+                }
+            }
+
+            if (capture) {
+                capture.parts.push(chunk.subarray(capture.start));
+                capture.start = 0;
+            }
+            offset += chunk.length;
+        }
+
+        if (state !== 'end') {
+            throw new Error('Invalid Bundle JSON: unexpected end of input');
+        }
+        return bundle;
+    }
+
+    /**
+     * Resolve the references of the indexed Bundle entries now that all of them are known, and store
+     * the topics each node holds itself and the propagation edges between the nodes.
+     */
+    linkIndexedBundle(index, rules, propagationRules) {
+        const page = index.prepare('SELECT seq, key, json FROM entries WHERE seq > ? AND key IS NOT NULL ORDER BY seq LIMIT 500');
+        const findAlias = index.prepare('SELECT key FROM aliases WHERE alias = ?').pluck();
+        const findNodeType = index.prepare('SELECT resource_type FROM nodes WHERE key = ?').pluck();
+        const insertEdge = index.prepare('INSERT INTO edges (source, target, topics) VALUES (?, ?, ?)');
+        const insertLabel = index.prepare('INSERT OR IGNORE INTO labels (key, topic, topic_json, propagated) VALUES (?, ?, ?, 0)');
+        const slsTopicKeys = this.getSlsTopicKeys();
+
+        const linkEntries = index.transaction(rows => {
+            for (const row of rows) {
+                const entry = JSON.parse(row.json);
+                const fullUrl = entry.fullUrl ? this.stripHistory(entry.fullUrl) : null;
+                const nodes = [[row.key, entry.resource], ...this.getContainedResources(entry.resource).map(contained => [`${row.key}#${contained.id}`, contained])];
+
+                for (const [key, resource] of nodes) {
+                    if (key !== row.key) {
+                        insertEdge.run(key, row.key, null);
+                    }
+
+                    for (const topic of this.getPropagatableTopicsFromResource(resource, rules, slsTopicKeys)) {
+                        const parsed = JSON.parse(topic);
+                        insertLabel.run(key, `${parsed.system}|${parsed.code}`, topic);
+                    }
+
+                    for (const link of this.getPropagationTargetsFromResource(resource, propagationRules)) {
+                        const target = link.reference.startsWith('#')
+                            ? (link.reference === '#' ? row.key : `${row.key}${link.reference}`)
+                            : this.lookupBundleReference(
+                                link.reference,
+                                fullUrl,
+                                url => findAlias.get(`fullUrl ${url}`),
+                                typeId => findAlias.get(`typeId ${typeId}`)
+                            );
+                        const targetType = target && target !== key && findNodeType.get(target);
+                        if (!targetType || !link.targets.includes(targetType)) {
+                            continue;
+                        }
+                        const topics = link.topics ? JSON.stringify(link.topics) : null;
+                        if (link.direction === 'from-target') {
+                            insertEdge.run(target, key, topics);
+                        } else {
+                            insertEdge.run(key, target, topics);
+                        }
+                    }
+                }
+            }
+        });
+
+        let lastSeq = 0;
+        for (let rows = page.all(lastSeq); rows.length > 0; rows = page.all(lastSeq)) {
+            linkEntries(rows);
+            lastSeq = rows[rows.length - 1].seq;
+        }
+    }
+
+    /**
+     * Second pass over a Bundle stream: label the entries in input order and write the output Bundle,
+     * its entries first. Bundle.meta.security is rolled up from the labels of the entries written.
+     * Returns the output Bundle without its entries.
+     */
+    async writeLabeledBundle(index, output, bundle, rules, options) {
+        const latestDate = this.getMetadata('latestDate') || this.getMetadata('earliestDate');
+        const page = index.prepare('SELECT seq, key, json FROM entries WHERE seq > ? ORDER BY seq LIMIT 500');
+        const propagatedTopics = index.prepare('SELECT topic_json FROM labels WHERE key = ? AND propagated = 1 ORDER BY rowid');
+        const isFullMode = options.mode === 'full';
+        const stats = { analyzed: 0, labeled: 0, skipped: 0, fhirVersion: options.fhirVersion };
+        const labeledTopics = {};
+        const securityLabels = new Map();
+        let written = 0;
+        let transaction = false;
+
+        const writeEntry = async entry => {
+            for (const coding of (entry.resource && entry.resource.meta && entry.resource.meta.security) || []) {
+                if (!securityLabels.has(`${coding.system}|${coding.code}`)) {
+                    securityLabels.set(`${coding.system}|${coding.code}`, coding);
+                }
+            }
+            await this.writeToStream(output, `${written++ > 0 ? ',' : ''}${JSON.stringify(entry)}`);
+        };
+
+        await this.writeToStream(output, '{"resourceType":"Bundle","entry":[');
+        let lastSeq = 0;
+        for (let rows = page.all(lastSeq); rows.length > 0; rows = page.all(lastSeq)) {
+            for (const row of rows) {
+                lastSeq = row.seq;
+                const entry = JSON.parse(row.json);
+                const resource = entry && entry.resource;
+
+                if (!resource || !this.SUPPORTED_RESOURCES.includes(resource.resourceType)) {
+                    if (isFullMode) {
+                        await writeEntry(entry);
+                    }
+                    continue;
+                }
+
+                const result = this.labelIndexedResource(resource, row.key, propagatedTopics, rules, latestDate);
+                stats[result.analyzed ? 'analyzed' : 'skipped']++;
+                if (result.matchedTopics.length > 0) {
+                    stats.labeled++;
+                }
+                const topics = [...result.matchedTopics, ...result.propagatedTopics];
+                if (options.provenance && topics.length > 0) {
+                    this.recordLabeledTopics(labeledTopics, this.getEntryKey(resource, entry.fullUrl), topics);
+                }
+
+                const changed = result.analyzed || result.propagatedTopics.length > 0;
+                if (changed) {
+                    this.addLastSourceSync(resource);
+                }
+                if (isFullMode) {
+                    await writeEntry(entry);
+                } else if (changed) {
+                    const batchEntry = this.createBatchEntry(resource, entry.fullUrl);
+                    transaction = transaction || Boolean(batchEntry.fullUrl && this.isUrnFullUrl(batchEntry.fullUrl));
+                    await writeEntry(batchEntry);
+                }
+            }
+        }
+
+        const isRequestBundle = !isFullMode || bundle.type === 'batch' || bundle.type === 'transaction';
+        for (const provenance of this.createProvenanceResources(labeledTopics, options.provenance)) {
+            await writeEntry(this.createProvenanceEntry(provenance, isRequestBundle));
+        }
+
+        const outputBundle = isFullMode ? this.createFullBundle(bundle, [], stats) : this.createBatchBundle([], stats, [], transaction);
+        const rolledUp = this.collectDistinctSecurityLabels([{ resource: { meta: { security: [...securityLabels.values()] } } }]);
+        if (rolledUp.length > 0) {
+            outputBundle.meta.security = rolledUp;
+        }
+
+        const { resourceType, entry, ...closing } = outputBundle;
+        await this.writeToStream(output, `],${JSON.stringify(closing).slice(1)}`);
+        return outputBundle;
+    }
+
+    /**
+     * API 2 Variant: Reconcile Security Labels
+     * Recomputes the justified topics of every supported resource (ignoring the lastSourceSync skip)
+     * and removes SLS-applied topic labels that the current rules no longer support. The SLS-applied
+     * confidentiality code is recomputed from the remaining labels (and dropped when none remain). Labels the SLS did not apply
+     * are kept. Returns a batch Bundle with the changed resources; the removals are listed in the
+     * removed-labels extension and counted as 'downgraded' in the processing summary.
+     * options are those of analyzeResourceBundle.
+     */
+    reconcileResourceBundle(bundle, options = {}) {
+        try {
+            if (!bundle || bundle.resourceType !== 'Bundle') {
+                throw new Error('Invalid Bundle: resourceType must be "Bundle"');
+            }
+
+            if (!bundle.entry || bundle.entry.length === 0) {
+                throw new Error('Bundle contains no entries');
+            }
+
+            const rulesCount = this.db.prepare('SELECT COUNT(*) as count FROM rules').get();
+            if (rulesCount.count === 0) {
+                throw new Error('No sensitive topic rules loaded. Please process ValueSets first (API 1).');
+            }
+
+            const rules = this.getAllRules();
+            const slsTopicKeys = this.getSlsTopicKeys();
+            const labeledTopics = {};
+            const previousLabels = new Map();
+            const confidentialityBySls = new Map();
+            let analyzed = 0;
+            let labeled = 0;
+
+            const fhirVersion = this.resolveFhirVersion(bundle, options.fhirVersion);
+            const propagationRules = this.getPropagationRules(fhirVersion);
+            const propagationIndex = this.createPropagationIndex(bundle.entry);
+            const propagationTopicsMap = {};
+
+            const resources = bundle.entry
+                .map(entry => entry.resource)
+                .filter(resource => resource && this.SUPPORTED_RESOURCES.includes(resource.resourceType));
+
+            // Contained resources are reconciled too; their changes are written back with their container
+            const containers = new Map();
+            for (const resource of resources) {
+                for (const contained of this.getContainedResources(resource)) {
+                    containers.set(contained, resource);
+                }
+            }
+            const reconciledResources = [...containers.keys(), ...resources];
+            const fullUrls = new Map(bundle.entry.map(entry => [entry.resource, entry.fullUrl]));
+
+            // Strip SLS-applied topic labels and re-apply only what the current rules justify
+            for (const resource of reconciledResources) {
+                const container = containers.get(resource);
+                if (!container) {
+                    analyzed++;
+                }
+                const security = (resource.meta && resource.meta.security) || [];
+                previousLabels.set(resource, security.map(sec => ({ ...sec })));
+
+                const staleTopics = security.filter(sec =>
+                    !this.isConfidentialityLabel(sec) && this.isSlsAppliedLabel(resource, sec, slsTopicKeys)
+                );
+                // The SLS confidentiality code is recomputed too; a legacy R counts as SLS-applied when it came with SLS topics
+                const slsConfidentiality = security.filter(sec => this.isConfidentialityLabel(sec) && (this.isSlsMarkedLabel(sec) ||
+                    (this.isRestrictedConfidentiality(sec) && staleTopics.length > 0 && this.isLegacyLabeledResource(resource))));
+                confidentialityBySls.set(resource, slsConfidentiality.length > 0);
+                const stale = [...staleTopics, ...slsConfidentiality];
+                if (stale.length > 0) {
+                    resource.meta.security = security.filter(sec => !stale.includes(sec));
+                }
+
+                const matchedTopics = this.analyzeResource(resource, rules);
+                if (matchedTopics.length > 0) {
+                    this.applySecurityLabels(resource, matchedTopics);
+                    const entryResource = container || resource;
+                    this.recordLabeledTopics(labeledTopics, this.getEntryKey(entryResource, fullUrls.get(entryResource)), matchedTopics);
+                    if (!container) {
+                        labeled++;
+                    }
+                }
+            }
+
+            // Propagate the justified (and human-applied) labels
+            const unresolvedTargets = {};
+            this.collectPropagatedTopics(propagationIndex, propagationTopicsMap, rules, propagationRules, null, unresolvedTargets);
+            this.applyPropagatedTopics(propagationIndex, propagationTopicsMap, labeledTopics);
+
+            const batchEntries = [];
+            const removals = [];
+            const changedContainers = new Set();
+            for (const resource of reconciledResources) {
+                const security = (resource.meta && resource.meta.security) || [];
+                const container = containers.get(resource);
+
+                // A removed SLS confidentiality code (and caveats) are restored as far as the remaining labels justify them
+                const hasTopicLabels = this.getTopicLabelKeys(resource).length > 0;
+                if (confidentialityBySls.get(resource) && hasTopicLabels && !this.getHighestConfidentiality(security)) {
+                    this.applyTopicPolicy(resource);
+                } else if (security.length === 0 && !container) {
+                    this.applyUnmatchedConfidentiality(resource);
+                }
+
+                const previous = previousLabels.get(resource);
+                const current = resource.meta ? resource.meta.security || [] : [];
+                const removed = previous.filter(prev => !current.some(sec => sec.system === prev.system && sec.code === prev.code));
+                const added = current.filter(sec => !previous.some(prev => prev.system === sec.system && prev.code === sec.code));
+
+                if (resource.meta && resource.meta.security && resource.meta.security.length === 0) {
+                    delete resource.meta.security;
+                }
+
+                const reference = container
+                    ? `${container.resourceType}/${container.id}#${resource.id}`
+                    : `${resource.resourceType}/${resource.id}`;
+                if (removed.length > 0) {
+                    removals.push({ reference, removed: removed });
+                }
+                if (container) {
+                    if (removed.length > 0 || added.length > 0) {
+                        changedContainers.add(container);
+                    }
+                } else if (removed.length > 0 || added.length > 0 || changedContainers.has(resource)) {
+                    this.addLastSourceSync(resource);
+                    const entry = bundle.entry.find(e => e.resource === resource);
+                    batchEntries.push(this.createBatchEntry(resource, entry.fullUrl));
+                }
+            }
+
+            this.incrementStat('totalResourcesAnalyzed', analyzed);
+            this.incrementStat('totalResourcesLabeled', labeled);
+
+            const outputBundle = this.createBatchBundle(batchEntries, {
+                analyzed,
+                labeled,
+                skipped: 0,
+                downgraded: removals.length,
+                fhirVersion
+            }, this.createProvenanceResources(labeledTopics, options.provenance));
+
+            if (removals.length > 0) {
+                outputBundle.extension.push(this.createRemovedLabelsExtension(removals));
+            }
+            if (Object.keys(unresolvedTargets).length > 0) {
+                outputBundle.extension.push(this.createUnresolvedTargetsExtension(unresolvedTargets));
+            }
+
+            return outputBundle;
+
+        } catch (error) {
+            console.error('Error reconciling resources:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Topic labels the SLS can apply with the currently loaded rules, as system|code
+     */
+    getSlsTopicKeys() {
+        return new Set(this.getTopicValueSets().keys());
+    }
+
+    /**
+     * A label is SLS-applied when it carries the SLS classifier marker.
+     * Resources labeled before labels were marked have no marker at all; on those, a topic label
+     * counts as SLS-applied when the resource carries lastSourceSync and the topic is one the SLS assigns.
+     */
+    isSlsAppliedLabel(resource, coding, slsTopicKeys = this.getSlsTopicKeys()) {
+        if (this.isSlsMarkedLabel(coding)) {
+            return true;
+        }
+        return Boolean(coding && this.isLegacyLabeledResource(resource) && slsTopicKeys.has(`${coding.system}|${coding.code}`));
+    }
+
+    /**
+     * Processed by the SLS (lastSourceSync) but without any marked label
+     */
+    isLegacyLabeledResource(resource) {
+        const meta = resource.meta || {};
+        const processed = Array.isArray(meta.extension) && meta.extension.some(ext => ext.url === this.LAST_SOURCE_SYNC_URL);
+        return processed && !(meta.security || []).some(sec => this.isSlsMarkedLabel(sec));
+    }
+
+    isRestrictedConfidentiality(coding) {
+        return coding.system === this.CONFIDENTIALITY_SYSTEM && coding.code === 'R';
+    }
+
+    isConfidentialityLabel(coding) {
+        return Boolean(coding) && coding.system === this.CONFIDENTIALITY_SYSTEM;
+    }
+
+    /**
+     * Bundle extension listing the labels removed by reconcile, one 'resource' entry per downgraded resource
+     */
+    createRemovedLabelsExtension(removals) {
+        return {
+            url: 'http://example.org/fhir/StructureDefinition/removed-labels',
+            extension: removals.map(removal => ({
+                url: 'resource',
+                extension: [
+                    { url: 'reference', valueReference: { reference: removal.reference } },
+                    ...removal.removed.map(coding => ({ url: 'removed', valueCoding: coding }))
+                ]
+            }))
+        };
+    }
+
+    /**
+     * List the propagation targets missing from the Bundle as
+     * [{ reference, topics: [coding], sources: [originKey] }], one per target reference
+     */
+    summarizeUnresolvedTargets(unresolvedTargets) {
+        return Object.entries(unresolvedTargets).map(([reference, topicOrigins]) => {
+            // Topic strings from rules and from meta.security differ in key order, so key on system|code
+            const topics = new Map();
+            const sources = new Set();
+            for (const [topicJson, origins] of topicOrigins) {
+                const topic = JSON.parse(topicJson);
+                topics.set(`${topic.system}|${topic.code}`, { system: topic.system, code: topic.code, display: topic.display });
+                origins.forEach(originRef => sources.add(originRef));
+            }
+            return { reference, topics: [...topics.values()], sources: [...sources] };
+        });
+    }
+
+    /**
+     * Bundle extension listing the propagation targets missing from the Bundle, one 'target' entry
+     * per referenced resource with the topics it should receive and the resources they originate from
+     */
+    createUnresolvedTargetsExtension(unresolvedTargets) {
+        return {
+            url: 'http://example.org/fhir/StructureDefinition/unresolved-propagation-targets',
+            extension: this.summarizeUnresolvedTargets(unresolvedTargets).map(target => ({
+                url: 'target',
+                extension: [
+                    { url: 'reference', valueReference: { reference: target.reference } },
+                    ...target.topics.map(coding => ({ url: 'topic', valueCoding: coding })),
+                    ...target.sources.map(sourceRef => ({ url: 'source', valueReference: { reference: sourceRef } }))
+                ]
+            }))
+        };
+    }
+
+    /**
+     * API 2 Variant: Explain Security Labels
+     * Runs analyzeResourceBundle on a copy of the input and reports, for each resource, why every
+     * label was applied: the element path and system|code that matched, the ValueSet that contributed
+     * the rule, the source resource a label was propagated from, or the topic policy (confidentiality
+     * and handling caveats). Does not modify the input and does not update statistics.
+     * options.fhirVersion as for analyzeResourceBundle.
+     */
+    explainResourceBundle(bundle, options = {}) {
+        try {
+            const explain = { resources: {}, ruleSources: this.getRuleSources(), propagationSources: {}, unresolvedTargets: {} };
+            const result = this.analyzeResourceBundle(bundle ? JSON.parse(JSON.stringify(bundle)) : bundle, {
+                fhirVersion: options.fhirVersion,
+                explain
+            });
+
+            const stats = { ...this.getProcessingCounts(result), fhirVersion: this.resolveFhirVersion(bundle, options.fhirVersion) };
+            return this.createExplainParameters(Object.values(explain.resources), stats,
+                this.summarizeUnresolvedTargets(explain.unresolvedTargets));
+
+        } catch (error) {
+            console.error('Error explaining resources:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get (or create) the explanation record of a resource. The record keeps the resource itself so
+     * the labels the policy adds can be reported once the analysis is done.
+     */
+    getExplainedResource(explain, ref, resource) {
+        if (!explain.resources[ref]) {
+            explain.resources[ref] = { reference: ref, status: 'analyzed', labels: {}, resource };
+        }
+        return explain.resources[ref];
+    }
+
+    /**
+     * Record the labels already present on a resource that the SLS did not apply: someone else asserted them
+     */
+    explainAssertedLabels(explain, ref, resource, slsTopicKeys) {
+        const explanation = this.getExplainedResource(explain, ref, resource);
+        for (const sec of (resource.meta && resource.meta.security) || []) {
+            if (sec && sec.system && sec.code && !this.isConfidentialityLabel(sec) &&
+                !this.isSlsAppliedLabel(resource, sec, slsTopicKeys)) {
+                this.getExplainedLabel(explanation, JSON.stringify(sec)).asserted = true;
+            }
+        }
+    }
+
+    /**
+     * Analyze a resource as analyzeResource does, recording where each topic matched.
+     * Returns the matched topics.
+     */
+    explainResourceCodes(explain, ref, resource, rules) {
+        const explanation = this.getExplainedResource(explain, ref, resource);
+        const matches = this.traceResourceCodes(resource, rules);
+        for (const match of matches) {
+            this.getExplainedLabel(explanation, match.topic).matches.push({
+                path: match.path,
+                codeKey: match.codeKey,
+                valueSets: explain.ruleSources[this.getRuleSourceKey(match.codeKey, JSON.parse(match.topic))] || []
+            });
+        }
+        return [...new Set(matches.map(match => match.topic))];
+    }
+
+    /**
+     * Record the propagated topics with the resources they originated from, then the
+     * confidentiality and handling caveats the policy added to every analyzed resource
+     */
+    explainPropagatedLabels(explain, propagationIndex, propagationTopicsMap) {
+        // Contained resources are reported as <container key>#<id>
+        for (const [resourceRef, topicsSet] of Object.entries(propagationTopicsMap)) {
+            const explanation = this.getExplainedResource(explain, resourceRef, propagationIndex.resources[resourceRef].resource);
+            for (const topic of topicsSet) {
+                const label = this.getExplainedLabel(explanation, topic);
+                const sources = (explain.propagationSources[resourceRef] && explain.propagationSources[resourceRef][topic]) || [];
+                for (const sourceRef of sources) {
+                    // Origins exclude the resource itself, but guard against self-references anyway
+                    if (sourceRef !== resourceRef && !label.propagatedFrom.includes(sourceRef)) {
+                        label.propagatedFrom.push(sourceRef);
+                    }
+                }
+            }
+        }
+
+        const caveatKeys = this.getTopicPolicy().caveatKeys;
+        for (const explanation of Object.values(explain.resources)) {
+            if (explanation.status !== 'analyzed') {
+                continue;
+            }
+            for (const sec of (explanation.resource.meta && explanation.resource.meta.security) || []) {
+                if (this.isSlsMarkedLabel(sec) && (this.isConfidentialityLabel(sec) || caveatKeys.has(`${sec.system}|${sec.code}`))) {
+                    this.getExplainedLabel(explanation, JSON.stringify(sec)).policy = true;
+                }
+            }
+        }
+    }
+
+    /**
+     * Get (or create) the explanation record for one topic label of a resource
+     */
+    getExplainedLabel(explanation, topicJson) {
+        // Topic strings from rules and from meta.security differ in key order, so key on system|code
+        const topic = JSON.parse(topicJson);
+        const labelKey = `${topic.system}|${topic.code}`;
+        if (!explanation.labels[labelKey]) {
+            explanation.labels[labelKey] = {
+                topic: topic,
+                asserted: false,
+                policy: false,
+                matches: [],
+                propagatedFrom: []
+            };
+        }
+        return explanation.labels[labelKey];
+    }
+
+    /**
+     * Build the Parameters resource returned by explain mode
+     */
+    createExplainParameters(explanations, stats, unresolvedTargets = []) {
+        const parameters = {
+            resourceType: 'Parameters',
+            meta: {
+                lastUpdated: new Date().toISOString()
+            },
+            parameter: [{
+                name: 'summary',
+                part: [
+                    { name: 'analyzed', valueInteger: stats.analyzed },
+                    { name: 'labeled', valueInteger: stats.labeled },
+                    { name: 'skipped', valueInteger: stats.skipped },
+                    { name: 'fhirVersion', valueCode: stats.fhirVersion }
+                ]
+            }]
+        };
+
+        for (const explanation of explanations) {
+            const resourcePart = {
+                name: 'resource',
+                part: [
+                    { name: 'reference', valueReference: { reference: explanation.reference } },
+                    { name: 'status', valueCode: explanation.status }
+                ]
+            };
+
+            for (const label of Object.values(explanation.labels)) {
+                const labelPart = {
+                    name: 'label',
+                    part: [{
+                        name: 'coding',
+                        valueCoding: {
+                            system: label.topic.system,
+                            code: label.topic.code,
+                            display: label.topic.display
+                        }
+                    }]
+                };
+
+                if (label.asserted) {
+                    labelPart.part.push({ name: 'basis', valueCode: 'asserted' });
+                }
+                if (label.matches.length > 0) {
+                    labelPart.part.push({ name: 'basis', valueCode: 'direct' });
+                }
+                if (label.propagatedFrom.length > 0) {
+                    labelPart.part.push({ name: 'basis', valueCode: 'propagated' });
+                }
+                if (label.policy) {
+                    labelPart.part.push({ name: 'basis', valueCode: 'policy' });
+                }
+
+                for (const match of label.matches) {
+                    const matchPart = {
+                        name: 'match',
+                        part: [
+                            { name: 'path', valueString: match.path },
+                            { name: 'code', valueString: match.codeKey }
+                        ]
+                    };
+                    for (const valueSet of match.valueSets) {
+                        matchPart.part.push({ name: 'valueSetId', valueId: valueSet.id });
+                        if (valueSet.url) {
+                            matchPart.part.push({
+                                name: 'valueSet',
+                                valueCanonical: valueSet.version ? `${valueSet.url}|${valueSet.version}` : valueSet.url
+                            });
+                        }
+                    }
+                    labelPart.part.push(matchPart);
+                }
+
+                for (const sourceRef of label.propagatedFrom) {
+                    labelPart.part.push({ name: 'source', valueReference: { reference: sourceRef } });
+                }
+
+                resourcePart.part.push(labelPart);
+            }
+
+            parameters.parameter.push(resourcePart);
+        }
+
+        for (const target of unresolvedTargets) {
+            parameters.parameter.push({
+                name: 'unresolvedTarget',
+                part: [
+                    { name: 'reference', valueReference: { reference: target.reference } },
+                    ...target.topics.map(coding => ({ name: 'topic', valueCoding: coding })),
+                    ...target.sources.map(sourceRef => ({ name: 'source', valueReference: { reference: sourceRef } }))
+                ]
+            });
+        }
+
+        return parameters;
+    }
+
+    /**
+     * Get all rules from database
+     */
+    getAllRules() {
+        const rows = this.db.prepare('SELECT * FROM rules').all();
+        const rules = {};
+        for (const row of rows) {
+            if (!rules[row.code_key]) {
+                rules[row.code_key] = [];
+            }
+            // Several ValueSets may contribute the same code/topic pair
+            const isDuplicate = rules[row.code_key].some(
+                topic => topic.code === row.topic_code && topic.system === row.topic_system
+            );
+            if (isDuplicate) {
+                continue;
+            }
+            rules[row.code_key].push({
+                code: row.topic_code,
+                system: row.topic_system,
+                display: row.topic_display
+            });
+        }
+        return rules;
+    }
+
+    /**
+     * Map each rule (code + topic) to the ValueSets that contributed it.
+     * Returns { ruleSourceKey: [{ id, url, version }] }, see getRuleSourceKey.
+     */
+    getRuleSources() {
+        const rows = this.db.prepare(
+            'SELECT code_key, topic_code, topic_system, valueset_id, valueset_url, valueset_version FROM rules'
+        ).all();
+        const sources = {};
+
+        for (const row of rows) {
+            const sourceKey = this.getRuleSourceKey(row.code_key, { system: row.topic_system, code: row.topic_code });
+            if (!sources[sourceKey]) {
+                sources[sourceKey] = [];
+            }
+            sources[sourceKey].push({ id: row.valueset_id, url: row.valueset_url, version: row.valueset_version });
+        }
+
+        return sources;
+    }
+
+    /**
+     * Key identifying a single rule: the matched system|code plus the topic it maps to
+     */
+    getRuleSourceKey(codeKey, topic) {
+        return `${codeKey}#${topic.system}|${topic.code}`;
+    }
+
+    /**
+     * Index the resources of a Bundle as propagation sources and targets.
+     * Each resource is keyed by ResourceType/<id> (or its entry.fullUrl when it has no id); contained
+     * resources are keyed by their container's key and #<id>. Returns
+     * { resources: { key: { resource, container, fullUrl } }, fullUrls: { fullUrl: key }, typeIds: { ResourceType/<id>: key } }.
+     */
+    createPropagationIndex(entries) {
+        const propagationIndex = { resources: {}, fullUrls: {}, typeIds: {} };
+        for (const entry of entries) {
+            const resource = entry.resource;
+            if (!resource || !this.SUPPORTED_RESOURCES.includes(resource.resourceType)) {
+                continue;
+            }
+
+            const fullUrl = entry.fullUrl ? this.stripHistory(entry.fullUrl) : null;
+            const key = this.getEntryKey(resource, fullUrl);
+            if (!key || propagationIndex.resources[key]) {
+                continue;
+            }
+
+            propagationIndex.resources[key] = { resource, container: null, fullUrl };
+            if (fullUrl && !propagationIndex.fullUrls[fullUrl]) {
+                propagationIndex.fullUrls[fullUrl] = key;
+            }
+            if (resource.id) {
+                propagationIndex.typeIds[key] = key;
+            }
+
+            for (const contained of this.getContainedResources(resource)) {
+                propagationIndex.resources[`${key}#${contained.id}`] = { resource: contained, container: key, fullUrl: null };
+            }
+        }
+        return propagationIndex;
+    }
+
+    /**
+     * Key of a Bundle entry's resource: ResourceType/<id>, or the fullUrl (e.g. urn:uuid:...) of a
+     * resource without an id; null when it has neither
+     */
+    getEntryKey(resource, fullUrl) {
+        if (resource.id) {
+            return `${resource.resourceType}/${resource.id}`;
+        }
+        return fullUrl ? this.stripHistory(fullUrl) : null;
+    }
+
+    /**
+     * Contained resources of a supported type that can be referenced (have an id)
+     */
+    getContainedResources(resource) {
+        return (Array.isArray(resource.contained) ? resource.contained : [])
+            .filter(contained => contained && contained.id && this.SUPPORTED_RESOURCES.includes(contained.resourceType));
+    }
+
+    /**
+     * Label the contained resources of a resource with the topics their own codes match.
+     * With an explain collector the matches are recorded under <containerRef>#<id>.
+     */
+    labelContainedResources(resource, rules, explain = null, containerRef = null) {
+        for (const contained of this.getContainedResources(resource)) {
+            const matchedTopics = explain
+                ? this.explainResourceCodes(explain, `${containerRef}#${contained.id}`, contained, rules)
+                : this.analyzeResource(contained, rules);
+            if (matchedTopics.length > 0) {
+                this.applySecurityLabels(contained, matchedTopics);
+            }
+        }
+    }
+
+    /**
+     * Resolve a reference made by an indexed resource to the key of the indexed resource it points to,
+     * following the Bundle reference resolution rules: #<id> points into the container, absolute
+     * references (urn:uuid:, urn:oid:, URLs) match an entry.fullUrl, and relative references are
+     * resolved against the base of the referencing entry's fullUrl. A version (/_history/<vid>) is ignored.
+     * References no fullUrl matches fall back to the entry with the same ResourceType/<id>.
+     */
+    resolvePropagationReference(propagationIndex, sourceKey, reference) {
+        const source = propagationIndex.resources[sourceKey];
+        const containerKey = source.container || sourceKey;
+
+        if (reference.startsWith('#')) {
+            if (reference === '#') {
+                return containerKey;
+            }
+            const containedKey = `${containerKey}${reference}`;
+            return propagationIndex.resources[containedKey] ? containedKey : null;
+        }
+
+        return this.lookupBundleReference(
+            reference,
+            propagationIndex.resources[containerKey].fullUrl,
+            fullUrl => propagationIndex.fullUrls[fullUrl],
+            typeId => propagationIndex.typeIds[typeId]
+        );
+    }
+
+    /**
+     * Find the key of the entry a reference other than #<id> points to: the entry whose fullUrl it is,
+     * else the one it names relative to the base of the referencing entry's fullUrl, else the entry with
+     * the same ResourceType/<id>. findFullUrl and findTypeId look a key up in the caller's index.
+     */
+    lookupBundleReference(reference, containerFullUrl, findFullUrl, findTypeId) {
+        const versionless = this.stripHistory(reference);
+        const byFullUrl = findFullUrl(versionless);
+        if (byFullUrl) {
+            return byFullUrl;
+        }
+
+        const base = containerFullUrl && containerFullUrl.match(/^(https?:\/\/.+\/)[A-Za-z]+\/[A-Za-z0-9\-.]{1,64}$/);
+        const byBase = base && /^[A-Za-z]+\/[A-Za-z0-9\-.]{1,64}$/.test(versionless) && findFullUrl(base[1] + versionless);
+        if (byBase) {
+            return byBase;
+        }
+
+        const typeId = versionless.match(/(?:^|\/)([A-Za-z]+\/[A-Za-z0-9\-.]{1,64})$/);
+        return (typeId && findTypeId(typeId[1])) || null;
+    }
+
+    /**
+     * Read the propagation targets a Bundle references but does not contain from the configured FHIR
+     * server, repeating until the resources read reference nothing new that is missing, so labels also
+     * reach e.g. the EpisodeOfCare of a missing Encounter. Targets that cannot be read stay unresolved.
+     * Returns entries { fullUrl, resource } to pass to analyzeResourceBundle as options.serverEntries.
+     */
+    async fetchMissingPropagationTargets(bundle, options = {}) {
+        if (!this.fhirServer) {
+            throw new Error('No FHIR server configured to read missing propagation targets from');
+        }
+        if (!bundle || bundle.resourceType !== 'Bundle' || !Array.isArray(bundle.entry)) {
+            return [];
+        }
+
+        const rules = this.getAllRules();
+        const propagationRules = this.getPropagationRules(this.resolveFhirVersion(bundle, options.fhirVersion));
+        const serverEntries = [];
+        const attempted = new Set();
+
+        while (attempted.size < this.maxFetchedTargets) {
+            const unresolvedTargets = {};
+            const propagationIndex = this.createPropagationIndex([...bundle.entry, ...serverEntries]);
+            this.collectPropagatedTopics(propagationIndex, {}, rules, propagationRules, null, unresolvedTargets);
+
+            const urls = Object.keys(unresolvedTargets)
+                .map(reference => this.getFhirServerUrl(reference))
+                .filter(url => url && !attempted.has(url));
+            if (urls.length === 0) {
+                break;
+            }
+
+            for (const url of urls.slice(0, this.maxFetchedTargets - attempted.size)) {
+                attempted.add(url);
+                const resource = await this.readFromFhirServer(url);
+                if (resource) {
+                    serverEntries.push({ fullUrl: url, resource });
+                }
+            }
+        }
+
+        if (attempted.size >= this.maxFetchedTargets) {
+            console.warn(`Read ${attempted.size} propagation targets from ${this.fhirServer}; further targets are reported as unresolved`);
+        }
+        return serverEntries;
+    }
+
+    /**
+     * URL of a referenced resource on the configured FHIR server: relative references are resolved
+     * against its base, absolute ones only when they point to it (null otherwise)
+     */
+    getFhirServerUrl(reference) {
+        const versionless = this.stripHistory(reference);
+        if (/^[A-Za-z]+\/[A-Za-z0-9\-.]{1,64}$/.test(versionless)) {
+            return `${this.fhirServer}/${versionless}`;
+        }
+        return versionless.startsWith(`${this.fhirServer}/`) ? versionless : null;
+    }
+
+    /**
+     * Read one resource from the FHIR server. Returns null (and logs why) when it cannot be read
+     * or is not the resource the URL names. With options.strict only a resource the server does not
+     * have (404, 410) returns null; otherwise the read fails with an error whose code is 'transient'.
+     */
+    async readFromFhirServer(url, options = {}) {
+        const fail = message => {
+            if (!options.strict) {
+                console.warn(`Could not read ${url}: ${message}`);
+                return null;
+            }
+            const error = new Error(`Could not read ${url} from the FHIR server: ${message}`);
+            error.code = 'transient';
+            throw error;
+        };
+
+        let response;
+        let resource;
+        try {
+            response = await fetch(url, {
+                headers: { 'Accept': 'application/fhir+json' }
+            });
+            resource = response.ok ? await response.json() : null;
+        } catch (error) {
+            return fail(error.message);
+        }
+
+        if (response.status === 404 || response.status === 410) {
+            console.warn(`Could not read ${url}: ${response.status} ${response.statusText}`);
+            return null;
+        }
+        if (!response.ok) {
+            return fail(`${response.status} ${response.statusText}`);
+        }
+        const [resourceType, id] = url.split('/').slice(-2);
+        if (!resource || resource.resourceType !== resourceType || resource.id !== id) {
+            return fail('the server returned a different resource');
+        }
+        return resource;
+    }
+
+    /**
+     * Read a patient's record from the FHIR server with Patient/$everything, following the 'next'
+     * links across all pages, and return it as one collection Bundle so propagation also works between
+     * resources on different pages. Resources returned on several pages are included once.
+     * 'next' links must stay on the FHIR server's origin, the record may have at most maxEverythingPages pages
+     * and maxBundleEntries resources, and each page must arrive within everythingPageTimeoutMs; otherwise the
+     * read fails with an error whose code is 'security', 'too-costly' or 'timeout'.
+     * Returns null when the server does not know the patient.
+     */
+    async fetchPatientEverything(patientId) {
+        if (!this.fhirServer) {
+            throw new Error('No FHIR server configured to read the patient record from');
+        }
+
+        const resources = new Map();
+        const visited = new Set();
+        const origin = new URL(this.fhirServer).origin;
+        const fail = (code, message) => {
+            const error = new Error(`Patient/${patientId}/$everything on ${this.fhirServer}: ${message}`);
+            error.code = code;
+            return error;
+        };
+        let url = `${this.fhirServer}/Patient/${encodeURIComponent(patientId)}/$everything`;
+        while (url && !visited.has(url)) {
+            if (visited.size >= this.maxEverythingPages) {
+                throw fail('too-costly', `the record has more than ${this.maxEverythingPages} pages`);
+            }
+            visited.add(url);
+
+            let page;
+            try {
+                const response = await fetch(url, {
+                    headers: { 'Accept': 'application/fhir+json' },
+                    signal: AbortSignal.timeout(this.everythingPageTimeoutMs)
+                });
+                if (response.status === 404 && visited.size === 1) {
+                    return null;
+                }
+                if (!response.ok) {
+                    throw new Error(`Patient/${patientId}/$everything failed on ${this.fhirServer}: ${response.status} ${response.statusText}`);
+                }
+                page = await response.json();
+            } catch (error) {
+                if (error.name === 'TimeoutError') {
+                    throw fail('timeout', `page ${visited.size} was not read within ${this.everythingPageTimeoutMs} ms`);
+                }
+                throw error;
+            }
+
+            for (const entry of page.entry || []) {
+                if (entry.resource && entry.resource.id) {
+                    resources.set(`${entry.resource.resourceType}/${entry.resource.id}`, entry.resource);
+                }
+            }
+            if (resources.size > this.maxBundleEntries) {
+                throw fail('too-costly', `the record has more than ${this.maxBundleEntries} resources`);
+            }
+
+            const next = (page.link || []).find(link => link.relation === 'next');
+            url = next ? new URL(next.url, `${this.fhirServer}/`).href : null;
+            if (url && new URL(url).origin !== origin) {
+                throw fail('security', `the 'next' link ${url} leaves the FHIR server`);
+            }
+        }
+
+        return {
+            resourceType: 'Bundle',
+            type: 'collection',
+            entry: [...resources.entries()].map(([typeId, resource]) => ({ fullUrl: `${this.fhirServer}/${typeId}`, resource }))
+        };
+    }
+
+    /**
+     * Turn an R4B/R5 Subscription notification (Bundle of type subscription-notification, first entry a
+     * SubscriptionStatus) into a collection Bundle of the resources it notifies about, for analyzeResourceBundle.
+     * Full-resource payloads are used as sent; id-only payloads (entries with a fullUrl only) and the
+     * notificationEvent focus references are read from the FHIR server. Resources the server no longer
+     * has are left out; when it cannot be reached or answers with another error, the read fails with
+     * an error whose code is 'transient'. Returns null for notifications that carry no events
+     * (handshake, heartbeat, query-status) or no supported resource.
+     */
+    async resolveNotificationBundle(notification) {
+        if (!this.fhirServer) {
+            throw new Error('No FHIR server configured to read notified resources from');
+        }
+        if (!notification || notification.resourceType !== 'Bundle' || notification.type !== 'subscription-notification') {
+            throw new Error('Invalid notification: expected a Bundle of type "subscription-notification"');
+        }
+        const status = notification.entry && notification.entry[0] && notification.entry[0].resource;
+        if (!status || status.resourceType !== 'SubscriptionStatus') {
+            throw new Error('Invalid notification: the first entry must be a SubscriptionStatus');
+        }
+        if (status.type !== 'event-notification') {
+            return null;
+        }
+
+        const resources = new Map();
+        const references = new Set();
+        for (const entry of notification.entry.slice(1)) {
+            if (entry.resource && entry.resource.id) {
+                resources.set(`${entry.resource.resourceType}/${entry.resource.id}`, entry.resource);
+            } else if (entry.fullUrl) {
+                references.add(entry.fullUrl);
+            }
+        }
+        for (const event of status.notificationEvent || []) {
+            if (event.focus && event.focus.reference) {
+                references.add(event.focus.reference);
+            }
+        }
+
+        for (const reference of references) {
+            const url = this.getFhirServerUrl(reference);
+            const typeId = url && url.split('/').slice(-2).join('/');
+            if (!url || resources.has(typeId)) {
+                continue;
+            }
+            const resource = await this.readFromFhirServer(url, { strict: true });
+            if (resource) {
+                resources.set(typeId, resource);
+            }
+        }
+
+        const entries = [...resources.entries()]
+            .filter(([, resource]) => this.SUPPORTED_RESOURCES.includes(resource.resourceType))
+            .map(([typeId, resource]) => ({ fullUrl: `${this.fhirServer}/${typeId}`, resource }));
+        return entries.length > 0 ? { resourceType: 'Bundle', type: 'collection', entry: entries } : null;
+    }
+
+    /**
+     * Write a batch Bundle returned by analyzeResourceBundle to the configured FHIR server.
+     * Entries the server answers with 429 or 5xx are sent again, and updates rejected with
+     * 412 (the resource changed since it was read) are re-read, labeled again and sent with the
+     * new version, for up to writeBackRetries further rounds with exponential backoff.
+     * A transaction Bundle (see createBatchBundle) succeeds or fails as a whole: it is only sent again
+     * when the server cannot accept it, and a rejected transaction fails the write-back.
+     * Returns a batch-response (transaction-response) Bundle with the final response of every entry and a
+     * write-back summary extension next to the extensions of the batch Bundle.
+     */
+    async storeBatchBundle(batchBundle) {
+        if (!this.fhirServer) {
+            throw new Error('No FHIR server configured to write the labeled resources to');
+        }
+
+        const type = batchBundle.type === 'transaction' ? 'transaction' : 'batch';
+        const rules = this.getAllRules();
+        const responses = [];
+        let relabeled = 0;
+        let pending = batchBundle.entry.map((entry, index) => ({ entry, index }));
+
+        for (let attempt = 0; pending.length > 0; attempt++) {
+            if (attempt > 0) {
+                await this.wait(this.writeBackBackoffMs * 2 ** (attempt - 1));
+            }
+
+            const result = await this.postToFhirServer({
+                resourceType: 'Bundle',
+                type: type,
+                entry: pending.map(item => item.entry)
+            });
+
+            const retry = [];
+            for (const [position, item] of pending.entries()) {
+                const resultEntry = result.entry && result.entry[position];
+                const response = (resultEntry && resultEntry.response) || { status: '500 Internal Server Error' };
+                responses[item.index] = response;
+                if (attempt >= this.writeBackRetries || type === 'transaction') {
+                    continue;
+                }
+
+                const status = parseInt(response.status, 10);
+                const method = item.entry.request.method;
+                if (status === 412 && (method === 'PUT' || method === 'PATCH')) {
+                    const entry = method === 'PATCH'
+                        ? await this.relabelConflictingPatch(item.entry, rules)
+                        : await this.relabelConflictingEntry(item.entry, rules);
+                    if (entry) {
+                        relabeled++;
+                        retry.push({ entry, index: item.index });
+                    }
+                } else if (status === 429 || status >= 500) {
+                    retry.push(item);
+                }
+            }
+            pending = retry;
+        }
+
+        const succeeded = responses.filter(response => /^2\d\d/.test(response.status)).length;
+        return {
+            resourceType: 'Bundle',
+            type: `${type}-response`,
+            meta: {
+                lastUpdated: new Date().toISOString(),
+                ...(batchBundle.meta && batchBundle.meta.security ? { security: batchBundle.meta.security } : {})
+            },
+            entry: batchBundle.entry.map((entry, index) => ({
+                ...(entry.fullUrl ? { fullUrl: entry.fullUrl } : {}),
+                response: responses[index]
+            })),
+            extension: [
+                ...(batchBundle.extension || []),
+                {
+                    url: 'http://example.org/fhir/StructureDefinition/write-back-summary',
+                    extension: [
+                        { url: 'server', valueUrl: this.fhirServer },
+                        { url: 'stored', valueInteger: succeeded },
+                        { url: 'failed', valueInteger: responses.length - succeeded },
+                        { url: 'relabeled', valueInteger: relabeled }
+                    ]
+                }
+            ]
+        };
+    }
+
+    /**
+     * Re-read a resource whose update was rejected with 412 and apply the labels again: the topics
+     * the SLS applied to the stale version plus the topics the current version's own codes match.
+     * Returns the new PUT entry (If-Match on the current version), or null when it cannot be read.
+     */
+    async relabelConflictingEntry(entry, rules) {
+        const resource = await this.readFromFhirServer(`${this.fhirServer}/${entry.request.url}`);
+        if (!resource) {
+            return null;
+        }
+
+        this.relabelCurrentVersion(resource, (entry.resource.meta && entry.resource.meta.security) || [], rules);
+        return this.createBatchEntry(resource, null, resource.meta && resource.meta.versionId);
+    }
+
+    /**
+     * relabelConflictingEntry for a PATCH entry: the topics are the codings the patch added to the
+     * resource itself, and the new patch is the difference to the current version, in the same format
+     */
+    async relabelConflictingPatch(entry, rules) {
+        const resource = await this.readFromFhirServer(`${this.fhirServer}/${entry.request.url}`);
+        if (!resource) {
+            return null;
+        }
+
+        const original = this.snapshotSecurityMeta(resource);
+        this.relabelCurrentVersion(resource, this.getPatchAddedLabels(entry.resource), rules);
+        return this.createPatchEntry(resource, original, entry.resource.resourceType === 'Parameters' ? 'fhirpath' : 'json');
+    }
+
+    /**
+     * Apply to a resource read from the server the topics among the given labels the SLS applied,
+     * plus the topics its own codes match, and set lastSourceSync
+     */
+    relabelCurrentVersion(resource, labels, rules) {
+        // Confidentiality and handling caveats follow from the topics through the policy
+        const caveatKeys = this.getTopicPolicy().caveatKeys;
+        const topics = labels
+            .filter(sec => this.isSlsMarkedLabel(sec) && !this.isConfidentialityLabel(sec) && !caveatKeys.has(`${sec.system}|${sec.code}`))
+            .map(sec => JSON.stringify({ system: sec.system, code: sec.code, display: sec.display || sec.code }));
+        for (const topic of this.analyzeResource(resource, rules)) {
+            if (!topics.includes(topic)) {
+                topics.push(topic);
+            }
+        }
+
+        this.applySecurityLabels(resource, topics);
+        this.addLastSourceSync(resource);
+    }
+
+    /**
+     * The meta.security codings a patch of createPatchEntry adds to the resource itself (not to its
+     * contained resources), from FHIRPath Patch Parameters or a JSON Patch Binary
+     */
+    getPatchAddedLabels(patch) {
+        if (patch.resourceType === 'Parameters') {
+            return (patch.parameter || [])
+                .map(operation => Object.fromEntries((operation.part || []).map(part => [part.name, part])))
+                .filter(parts => parts.type && parts.type.valueCode === 'add' && parts.path && /^[A-Za-z]+\.meta$/.test(parts.path.valueString)
+                    && parts.name && parts.name.valueString === 'security' && parts.value && parts.value.valueCoding)
+                .map(parts => parts.value.valueCoding);
+        }
+
+        const operations = JSON.parse(Buffer.from(patch.data || '', 'base64').toString('utf8') || '[]');
+        return operations
+            .filter(operation => operation.op === 'add' && (operation.path === '/meta/security' || operation.path === '/meta/security/-'))
+            .flatMap(operation => Array.isArray(operation.value) ? operation.value : [operation.value]);
+    }
+
+    /**
+     * POST a batch Bundle to the FHIR server, retrying (with exponential backoff) when the server
+     * cannot be reached or answers 429 or 5xx. Returns the batch-response Bundle.
+     */
+    async postToFhirServer(bundle) {
+        for (let attempt = 0; ; attempt++) {
+            let failure;
+            try {
+                const response = await fetch(this.fhirServer, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/fhir+json',
+                        'Accept': 'application/fhir+json'
+                    },
+                    body: JSON.stringify(bundle)
+                });
+                if (response.ok) {
+                    return await response.json();
+                }
+                failure = `${response.status} ${response.statusText}`;
+                if (response.status !== 429 && response.status < 500) {
+                    throw new Error(`FHIR server ${this.fhirServer} rejected the batch: ${failure}`);
+                }
+            } catch (error) {
+                if (failure) {
+                    throw error;
+                }
+                failure = error.message;
+            }
+
+            if (attempt >= this.writeBackRetries) {
+                throw new Error(`FHIR server ${this.fhirServer} did not accept the batch after ${attempt + 1} attempts: ${failure}`);
+            }
+            console.warn(`Writing batch to ${this.fhirServer} failed (${failure}), retrying`);
+            await this.wait(this.writeBackBackoffMs * 2 ** attempt);
+        }
+    }
+
+    wait(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Remove a trailing /_history/<vid> from a reference or fullUrl
+     */
+    stripHistory(reference) {
+        return reference.replace(/\/_history\/[^/]+$/, '');
+    }
+
+    /**
+     * Propagate sensitivity topics along the configured references of every resource in the Bundle.
+     * The references form a graph and topics are pushed along it until no resource gains a topic or
+     * an originating resource, so the result does not depend on entry order. Every propagated topic is
+     * attributed to the resources it originated from; a topic never flows back to its origin, which
+     * keeps reference cycles from feeding themselves.
+     * Fills propagationTopicsMap { key: Set(topic) } and, if supplied, propagationSources
+     * { key: { topic: Set(originKey) } } for explain mode; keys are those of createPropagationIndex.
+     * If supplied, unresolvedTargets { reference: Map(topic -> Set(originKey)) } receives the topics
+     * that would flow to referenced resources missing from the Bundle.
+     */
+    collectPropagatedTopics(propagationIndex, propagationTopicsMap, rules, propagationRules, propagationSources = null, unresolvedTargets = null) {
+        const unresolvedLinks = [];
+        const graph = this.buildPropagationGraph(propagationIndex, propagationRules, unresolvedLinks);
+        const slsTopicKeys = this.getSlsTopicKeys();
+
+        // ref -> Map(topic -> Set(originRef)), seeded with the topics each resource holds itself
+        const topicOrigins = {};
+        for (const [ref, node] of Object.entries(propagationIndex.resources)) {
+            topicOrigins[ref] = new Map(
+                this.getPropagatableTopicsFromResource(node.resource, rules, slsTopicKeys).map(topic => [topic, new Set([ref])])
+            );
+        }
+
+        const pending = Object.keys(graph);
+        const queued = new Set(pending);
+        while (pending.length > 0) {
+            const sourceRef = pending.shift();
+            queued.delete(sourceRef);
+
+            for (const edge of graph[sourceRef]) {
+                let changed = false;
+                for (const [topic, origins] of topicOrigins[sourceRef]) {
+                    const parsed = JSON.parse(topic);
+                    if (edge.topics && !edge.topics.includes(`${parsed.system}|${parsed.code}`)) {
+                        continue;
+                    }
+                    const targetTopics = topicOrigins[edge.target];
+                    for (const originRef of origins) {
+                        if (originRef === edge.target) {
+                            continue;
+                        }
+                        if (!targetTopics.has(topic)) {
+                            targetTopics.set(topic, new Set());
+                        }
+                        if (!targetTopics.get(topic).has(originRef)) {
+                            targetTopics.get(topic).add(originRef);
+                            changed = true;
+                        }
+                    }
+                }
+                if (changed && graph[edge.target] && !queued.has(edge.target)) {
+                    pending.push(edge.target);
+                    queued.add(edge.target);
+                }
+            }
+        }
+
+        if (unresolvedTargets) {
+            for (const link of unresolvedLinks) {
+                for (const [topic, origins] of topicOrigins[link.source]) {
+                    const parsed = JSON.parse(topic);
+                    if (link.topics && !link.topics.includes(`${parsed.system}|${parsed.code}`)) {
+                        continue;
+                    }
+                    if (!unresolvedTargets[link.reference]) {
+                        unresolvedTargets[link.reference] = new Map();
+                    }
+                    const targetTopics = unresolvedTargets[link.reference];
+                    if (!targetTopics.has(topic)) {
+                        targetTopics.set(topic, new Set());
+                    }
+                    origins.forEach(originRef => targetTopics.get(topic).add(originRef));
+                }
+            }
+        }
+
+        for (const [ref, topics] of Object.entries(topicOrigins)) {
+            for (const [topic, origins] of topics) {
+                const propagatedFrom = [...origins].filter(originRef => originRef !== ref);
+                if (propagatedFrom.length === 0) {
+                    continue;
+                }
+
+                if (!propagationTopicsMap[ref]) {
+                    propagationTopicsMap[ref] = new Set();
+                }
+                propagationTopicsMap[ref].add(topic);
+
+                if (propagationSources) {
+                    if (!propagationSources[ref]) {
+                        propagationSources[ref] = {};
+                    }
+                    propagationSources[ref][topic] = new Set(propagatedFrom);
+                }
+            }
+        }
+    }
+
+    /**
+     * Apply the propagated topics to the indexed resources they were propagated to.
+     * Returns the Bundle entry resources that changed (the container, for a contained resource).
+     */
+    applyPropagatedTopics(propagationIndex, propagationTopicsMap, labeledTopics) {
+        const updated = new Set();
+        for (const [ref, topicsSet] of Object.entries(propagationTopicsMap)) {
+            const node = propagationIndex.resources[ref];
+            const entryResource = node.container ? propagationIndex.resources[node.container].resource : node.resource;
+            const topics = Array.from(topicsSet);
+
+            this.applySecurityLabels(node.resource, topics);
+            this.recordLabeledTopics(labeledTopics, node.container || ref, topics);
+            updated.add(entryResource);
+        }
+        return [...updated];
+    }
+
+    /**
+     * Build the propagation graph of the indexed resources: { sourceKey: [{ target: targetKey, topics }] },
+     * one edge per configured reference that resolves within the Bundle to one of the rule's target types.
+     * For 'from-target' rules the edge runs from the referenced resource to the referencing one.
+     * Every contained resource also propagates all its topics to its container.
+     * 'to-target' references to a target type that do not resolve within the Bundle are pushed to
+     * unresolvedLinks, if supplied, as { source: sourceKey, reference, topics }.
+     */
+    buildPropagationGraph(propagationIndex, propagationRules, unresolvedLinks = null) {
+        const graph = {};
+        const addEdge = (sourceRef, targetRef, topics) => {
+            if (sourceRef === targetRef) {
+                return;
+            }
+            if (!graph[sourceRef]) {
+                graph[sourceRef] = [];
+            }
+            graph[sourceRef].push({ target: targetRef, topics });
+        };
+
+        for (const [ref, node] of Object.entries(propagationIndex.resources)) {
+            if (node.container) {
+                addEdge(ref, node.container, null);
+            }
+
+            for (const link of this.getPropagationTargetsFromResource(node.resource, propagationRules)) {
+                const referencedRef = this.resolvePropagationReference(propagationIndex, ref, link.reference);
+                const referenced = referencedRef && propagationIndex.resources[referencedRef];
+                if (!referenced) {
+                    // Only a typed reference to a resource outside the Bundle can be reported back
+                    const typeId = this.stripHistory(link.reference).match(/(?:^|\/)([A-Za-z]+)\/[A-Za-z0-9\-.]{1,64}$/);
+                    if (unresolvedLinks && link.direction !== 'from-target' && typeId && link.targets.includes(typeId[1])) {
+                        unresolvedLinks.push({ source: ref, reference: this.stripHistory(link.reference), topics: link.topics });
+                    }
+                    continue;
+                }
+                if (!link.targets.includes(referenced.resource.resourceType)) {
+                    continue;
+                }
+
+                if (link.direction === 'from-target') {
+                    addEdge(referencedRef, ref, link.topics);
+                } else {
+                    addEdge(ref, referencedRef, link.topics);
+                }
+            }
+        }
+        return graph;
+    }
+
+    /**
+     * Get the references the resource makes through the elements named by the propagation rules.
+     * Returns { reference, targets, direction, topics } per reference; references are resolved by the caller.
+     */
+    getPropagationTargetsFromResource(resource, propagationRules) {
+        const targets = [];
+        if (!resource) {
+            return targets;
+        }
+
+        for (const rule of propagationRules) {
+            if (rule.source !== '*' && rule.source !== resource.resourceType) {
+                continue;
+            }
+
+            for (const reference of this.getReferencesAtPath(resource, rule.path)) {
+                targets.push({ reference, targets: rule.targets, direction: rule.direction, topics: rule.topics });
+            }
+        }
+
+        return targets;
+    }
+
+    /**
+     * Reference strings found at a dot-separated element path (arrays are followed at every step).
+     * The element may be a Reference, a CodeableReference or a plain reference string.
+     */
+    getReferencesAtPath(resource, elementPath) {
+        let values = [resource];
+        for (const name of elementPath.split('.')) {
+            values = values
+                .flatMap(value => (value && typeof value === 'object' ? value[name] : undefined))
+                .filter(value => value !== undefined && value !== null);
+        }
+
+        const references = [];
+        for (const value of values) {
+            if (typeof value === 'string') {
+                references.push(value);
+            } else if (value && typeof value.reference === 'string') {
+                references.push(value.reference);
+            } else if (value && value.reference && typeof value.reference.reference === 'string') {
+                references.push(value.reference.reference);
+            }
+        }
+        return references;
+    }
+
+    /**
+     * Load the propagation rules from the configuration file. The file is read again whenever it
+     * changes, so policy owners can adjust propagation without a restart.
+     * Each rule: { source: resource type or '*', path: element path, targets: [resource types],
+     * direction: 'to-target' (default) | 'from-target', topics: optional [system|code] that may flow }
+     */
+    loadPropagationConfig() {
+        const stat = fs.statSync(this.propagationConfigPath);
+        if (this.propagationConfigCache && this.propagationConfigCache.mtimeMs === stat.mtimeMs) {
+            return this.propagationConfigCache.rules;
+        }
+
+        let config;
+        try {
+            config = JSON.parse(fs.readFileSync(this.propagationConfigPath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Invalid propagation config ${this.propagationConfigPath}: ${error.message}`);
+        }
+        if (!config || !Array.isArray(config.rules)) {
+            throw new Error(`Invalid propagation config ${this.propagationConfigPath}: 'rules' must be an array`);
+        }
+
+        const rules = config.rules.map((rule, index) => {
+            const problem = this.validatePropagationRule(rule);
+            if (problem) {
+                throw new Error(`Invalid propagation config ${this.propagationConfigPath}: rules[${index}] ${problem}`);
+            }
+            const paths = {};
+            for (const fhirVersion of this.FHIR_VERSIONS) {
+                paths[fhirVersion] = typeof rule.path === 'string' ? rule.path : rule.path[fhirVersion] || null;
+            }
+            return {
+                source: rule.source,
+                paths,
+                targets: rule.targets,
+                direction: rule.direction || 'to-target',
+                topics: rule.topics || null
+            };
+        });
+
+        this.propagationConfigCache = { mtimeMs: stat.mtimeMs, rules };
+        return rules;
+    }
+
+    /**
+     * The propagation rules that apply to a FHIR version, each with the element path for that version.
+     * Rules without a path for the version (the element does not exist there) are left out.
+     */
+    getPropagationRules(fhirVersion) {
+        return this.loadPropagationConfig()
+            .filter(rule => rule.paths[fhirVersion])
+            .map(rule => ({ ...rule, path: rule.paths[fhirVersion] }));
+    }
+
+    /**
+     * Map a FHIR version given as release name (R4, R4B, R5) or version number (4.0.1, 4.3, 5.0.0)
+     * to the release name, or null when it is not a supported version
+     */
+    normalizeFhirVersion(value) {
+        const version = String(value).trim().toUpperCase();
+        if (this.FHIR_VERSIONS.includes(version)) {
+            return version;
+        }
+        if (/^4\.0(\.\d+)?$/.test(version)) {
+            return 'R4';
+        }
+        if (/^4\.3(\.\d+)?$/.test(version)) {
+            return 'R4B';
+        }
+        if (/^5\.0(\.\d+)?(-.+)?$/.test(version)) {
+            return 'R5';
+        }
+        return null;
+    }
+
+    /**
+     * The FHIR version to analyze a Bundle as: the requested version if one was given,
+     * otherwise the version the Bundle's element names suggest
+     */
+    resolveFhirVersion(bundle, requestedVersion) {
+        if (requestedVersion) {
+            const fhirVersion = this.normalizeFhirVersion(requestedVersion);
+            if (!fhirVersion) {
+                throw new Error(`Unsupported fhirVersion '${requestedVersion}': expected R4, R4B or R5 (4.0, 4.3 or 5.0)`);
+            }
+            return fhirVersion;
+        }
+        return this.detectFhirVersion(bundle);
+    }
+
+    /**
+     * Guess the FHIR version of a Bundle from elements that were renamed or retyped in R5.
+     * R4 and R4B use the same names for these elements, so R4B content is reported as R4; R4 is also
+     * the answer when nothing gives the version away, matching the advertised fhirVersion.
+     */
+    detectFhirVersion(bundle) {
+        const hints = this.countFhirVersionHints(bundle.entry || []);
+        return hints.r5 > hints.r4 ? 'R5' : 'R4';
+    }
+
+    /**
+     * Count the elements of the entries' resources that only exist in R4/R4B (r4) or in R5 (r5)
+     */
+    countFhirVersionHints(entries) {
+        let r4 = 0;
+        let r5 = 0;
+        const resources = entries
+            .map(entry => entry && entry.resource)
+            .filter(resource => resource && typeof resource === 'object')
+            .flatMap(resource => [resource, ...(Array.isArray(resource.contained) ? resource.contained : [])]);
+
+        for (const resource of resources) {
+            // R4 reasonCode/reasonReference became the CodeableReference reason in R5
+            if (resource.reasonCode || resource.reasonReference) {
+                r4++;
+            }
+            if (Array.isArray(resource.reason) && resource.reason.some(reason => reason && (reason.concept || reason.reference))) {
+                r5++;
+            }
+            // R4 medication[x] became the CodeableReference medication in R5
+            if (resource.medicationReference || resource.medicationCodeableConcept) {
+                r4++;
+            }
+            if (resource.medication && (resource.medication.concept || resource.medication.reference)) {
+                r5++;
+            }
+            if (resource.resourceType === 'Encounter') {
+                if (resource.class && !Array.isArray(resource.class)) {
+                    r4++;
+                }
+                if (Array.isArray(resource.class) || resource.actualPeriod) {
+                    r5++;
+                }
+            }
+            if (resource.resourceType === 'Procedure' && (resource.complicationDetail || resource.performedDateTime || resource.performedPeriod)) {
+                r4++;
+            }
+        }
+
+        return { r4, r5 };
+    }
+
+    /**
+     * Describe what is wrong with a propagation rule, or return null when it is valid
+     */
+    validatePropagationRule(rule) {
+        if (!rule || typeof rule !== 'object') {
+            return 'must be an object';
+        }
+        if (rule.source !== '*' && !this.SUPPORTED_RESOURCES.includes(rule.source)) {
+            return `source '${rule.source}' must be '*' or a supported resource type`;
+        }
+        const isElementPath = path => typeof path === 'string' && /^[A-Za-z][A-Za-z0-9]*(\.[A-Za-z][A-Za-z0-9]*)*$/.test(path);
+        if (rule.path && typeof rule.path === 'object' && !Array.isArray(rule.path)) {
+            const versions = Object.keys(rule.path);
+            if (versions.length === 0 || versions.some(version => !this.FHIR_VERSIONS.includes(version) || !isElementPath(rule.path[version]))) {
+                return `path must map ${this.FHIR_VERSIONS.join(', ')} to dot-separated element paths`;
+            }
+        } else if (!isElementPath(rule.path)) {
+            return `path '${rule.path}' must be a dot-separated element path`;
+        }
+        if (!Array.isArray(rule.targets) || rule.targets.length === 0 ||
+            rule.targets.some(target => !this.SUPPORTED_RESOURCES.includes(target))) {
+            return 'targets must be a non-empty array of supported resource types';
+        }
+        if (rule.direction !== undefined && rule.direction !== 'to-target' && rule.direction !== 'from-target') {
+            return `direction '${rule.direction}' must be 'to-target' or 'from-target'`;
+        }
+        if (rule.topics !== undefined &&
+            (!Array.isArray(rule.topics) || rule.topics.some(topic => typeof topic !== 'string' || !topic.includes('|')))) {
+            return 'topics must be an array of system|code strings';
+        }
+        return null;
+    }
+
+    /**
+     * Topics a resource propagates, as topic strings expected by applySecurityLabels:
+     * the labels asserted by people or upstream systems plus the topics its own codes match now.
+     * Labels the SLS applied earlier are not propagated, so a stale SLS label cannot keep spreading.
+     * Excludes confidentiality codes because applySecurityLabels derives them from the topics.
+     * slsTopicKeys is getSlsTopicKeys(), computed once per run by the caller.
+     */
+    getPropagatableTopicsFromResource(resource, rules, slsTopicKeys) {
+        const topics = [];
+
+        if (resource && resource.meta && Array.isArray(resource.meta.security)) {
+            const caveatKeys = this.getTopicPolicy().caveatKeys;
+            for (const sec of resource.meta.security) {
+                if (!sec || !sec.system || !sec.code) {
+                    continue;
+                }
+
+                // Handling caveats follow the topics through the policy, they are not topics themselves
+                if (this.isConfidentialityLabel(sec) || caveatKeys.has(`${sec.system}|${sec.code}`) ||
+                    this.isSlsAppliedLabel(resource, sec, slsTopicKeys)) {
+                    continue;
+                }
+
+                topics.push(JSON.stringify({
+                    system: sec.system,
+                    code: sec.code,
+                    display: sec.display || sec.code
+                }));
+            }
+        }
+
+        // Analyze content directly; this makes propagation independent from timestamp-based skip logic
+        if (rules) {
+            for (const topic of this.analyzeResource(resource, rules)) {
+                if (!topics.includes(topic)) {
+                    topics.push(topic);
+                }
+            }
+        }
+
+        return topics;
+    }
+
+    /**
+     * Check if resource should be skipped
+     */
+    shouldSkipResource(resource, latestDate) {
+        if (!latestDate || !resource.meta || !resource.meta.extension) {
+            return false;
         }
 
         const syncExt = resource.meta.extension.find(
@@ -857,9 +3721,20 @@ class FHIRSecurityLabelingService {
     }
 
     /**
-     * Recursively find and check codes
+     * Analyze resource for sensitive codes, recording where each match was found.
+     * Returns an array of { path, codeKey, topic } where topic is the JSON topic string.
+     */
+    traceResourceCodes(resource, rules) {
+        const matches = [];
+        this.findAndCheckCodes(resource, rules, new Set(), resource.resourceType, matches);
+        return matches;
+    }
+
+    /**
+     * Recursively find and check codes.
+     * When a matches array is supplied, the element path of every matching Coding is recorded.
      */
-    findAndCheckCodes(obj, rules, matchedTopics) {
+    findAndCheckCodes(obj, rules, matchedTopics, path = null, matches = null) {
         if (!obj || typeof obj !== 'object') {
             return;
         }
@@ -869,25 +3744,31 @@ class FHIRSecurityLabelingService {
             if (rules[key]) {
                 // Add all topics for this code
                 for (const topic of rules[key]) {
-                    matchedTopics.add(JSON.stringify(topic));
+                    const topicJson = JSON.stringify(topic);
+                    matchedTopics.add(topicJson);
+
+                    // The same Coding is reached twice (via coding[] and the generic walk), so de-duplicate
+                    if (matches && !matches.some(m => m.path === path && m.codeKey === key && m.topic === topicJson)) {
+                        matches.push({ path, codeKey: key, topic: topicJson });
+                    }
                 }
             }
         }
 
         if (obj.coding && Array.isArray(obj.coding)) {
-            for (const coding of obj.coding) {
-                this.findAndCheckCodes(coding, rules, matchedTopics);
+            for (const [index, coding] of obj.coding.entries()) {
+                this.findAndCheckCodes(coding, rules, matchedTopics, matches ? `${path}.coding[${index}]` : null, matches);
             }
         }
 
         for (const key in obj) {
             if (obj.hasOwnProperty(key)) {
                 if (Array.isArray(obj[key])) {
-                    for (const item of obj[key]) {
-                        this.findAndCheckCodes(item, rules, matchedTopics);
+                    for (const [index, item] of obj[key].entries()) {
+                        this.findAndCheckCodes(item, rules, matchedTopics, matches ? `${path}.${key}[${index}]` : null, matches);
                     }
                 } else if (typeof obj[key] === 'object') {
-                    this.findAndCheckCodes(obj[key], rules, matchedTopics);
+                    this.findAndCheckCodes(obj[key], rules, matchedTopics, matches ? `${path}.${key}` : null, matches);
                 }
             }
         }
@@ -905,79 +3786,622 @@ class FHIRSecurityLabelingService {
             resource.meta.security = [];
         }
 
-        const hasRestricted = resource.meta.security.some(
-            sec => sec.system === 'http://terminology.hl7.org/CodeSystem/v3-Confidentiality' && sec.code === 'R'
-        );
+        for (const topicJson of matchedTopics) {
+            const topic = JSON.parse(topicJson);
+            
+            const hasTopic = resource.meta.security.some(
+                sec => sec.system === topic.system && sec.code === topic.code
+            );
+
+            if (!hasTopic) {
+                resource.meta.security.push({
+                    extension: this.createLabelMarker(`${topic.system}|${topic.code}`),
+                    system: topic.system,
+                    code: topic.code,
+                    display: topic.display
+                });
+            }
+        }
+
+        this.applyTopicPolicy(resource);
+    }
+
+    /**
+     * Apply the topic policy to every topic label the resource carries: append the configured
+     * handling caveats, and set the confidentiality to the high-water mark of the topics' levels.
+     */
+    applyTopicPolicy(resource) {
+        const topicKeys = this.getTopicLabelKeys(resource);
+        const handlingByTopic = this.getTopicPolicy().handling;
+
+        for (const topicKey of topicKeys) {
+            const handling = handlingByTopic.get(topicKey) || {};
+            for (const coding of this.HANDLING_CAVEAT_KINDS.flatMap(kind => handling[kind] || [])) {
+                const hasCaveat = resource.meta.security.some(sec => sec.system === coding.system && sec.code === coding.code);
+                if (!hasCaveat) {
+                    resource.meta.security.push({
+                        extension: this.createLabelMarker(null),
+                        ...coding
+                    });
+                }
+            }
+        }
+
+        this.applyConfidentiality(resource, this.getConfidentialityForTopics(topicKeys));
+    }
+
+    /**
+     * system|code of the topic labels of a resource: every label except confidentiality codes and handling caveats
+     */
+    getTopicLabelKeys(resource) {
+        const caveatKeys = this.getTopicPolicy().caveatKeys;
+        return ((resource.meta && resource.meta.security) || [])
+            .filter(sec => sec.system && sec.code && !this.isConfidentialityLabel(sec))
+            .map(sec => `${sec.system}|${sec.code}`)
+            .filter(key => !caveatKeys.has(key));
+    }
+
+    /**
+     * Raise the resource confidentiality to the given v3-Confidentiality code.
+     * Lower confidentiality codes are replaced; a resource that is already at or above the level is left as is.
+     */
+    applyConfidentiality(resource, level) {
+        if (!level) {
+            return;
+        }
+
+        if (!resource.meta) {
+            resource.meta = {};
+        }
+
+        const security = resource.meta.security || [];
+        const current = this.getHighestConfidentiality(security);
+        if (current && this.CONFIDENTIALITY_LEVELS.indexOf(current) >= this.CONFIDENTIALITY_LEVELS.indexOf(level)) {
+            return;
+        }
+
+        resource.meta.security = security.filter(sec => !this.isConfidentialityLabel(sec));
+        resource.meta.security.push({
+            extension: this.createLabelMarker(null),
+            system: this.CONFIDENTIALITY_SYSTEM,
+            code: level,
+            display: this.CONFIDENTIALITY_DISPLAY[level]
+        });
+    }
+
+    /**
+     * Label an analyzed resource without any sensitive topic with the policy's unmatched level (e.g. N).
+     * Resources that already carry a label are left alone.
+     */
+    applyUnmatchedConfidentiality(resource) {
+        const level = this.getTopicPolicy().unmatched;
+        const security = (resource.meta && resource.meta.security) || [];
+        if (level && security.length === 0) {
+            this.applyConfidentiality(resource, level);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * High-water mark of the policy levels of the given topics (system|code).
+     * Topics without a policy entry get the default level.
+     */
+    getConfidentialityForTopics(topicKeys) {
+        const policy = this.getTopicPolicy();
+        let highest = null;
+        for (const topicKey of topicKeys) {
+            const level = policy.levels.get(topicKey) || policy.default;
+            if (!highest || this.CONFIDENTIALITY_LEVELS.indexOf(level) > this.CONFIDENTIALITY_LEVELS.indexOf(highest)) {
+                highest = level;
+            }
+        }
+        return highest;
+    }
+
+    /**
+     * Highest v3-Confidentiality code among the given codings, or null
+     */
+    getHighestConfidentiality(codings) {
+        let highest = null;
+        for (const sec of codings) {
+            if (this.isConfidentialityLabel(sec) && this.CONFIDENTIALITY_LEVELS.includes(sec.code) &&
+                (!highest || this.CONFIDENTIALITY_LEVELS.indexOf(sec.code) > this.CONFIDENTIALITY_LEVELS.indexOf(highest))) {
+                highest = sec.code;
+            }
+        }
+        return highest;
+    }
+
+    /**
+     * The topic policy: per-topic confidentiality levels and handling caveats (keyed by system|code),
+     * the default level for topics without a level and the optional level for resources without any
+     * sensitive topic. caveatKeys holds every configured caveat code, so caveats are not mistaken for topics.
+     * Cached until a new policy is loaded.
+     */
+    getTopicPolicy() {
+        if (!this.topicPolicyCache) {
+            const rows = this.db.prepare('SELECT topic_system, topic_code, confidentiality, handling FROM topic_policies').all();
+            const policy = {
+                levels: new Map(),
+                handling: new Map(),
+                caveatKeys: new Set(),
+                default: this.getMetadata('defaultConfidentiality') || 'R',
+                unmatched: this.getMetadata('unmatchedConfidentiality')
+            };
+
+            for (const row of rows) {
+                const topicKey = `${row.topic_system}|${row.topic_code}`;
+                if (row.confidentiality) {
+                    policy.levels.set(topicKey, row.confidentiality);
+                }
+                if (row.handling) {
+                    const handling = JSON.parse(row.handling);
+                    policy.handling.set(topicKey, handling);
+                    for (const coding of this.HANDLING_CAVEAT_KINDS.flatMap(kind => handling[kind] || [])) {
+                        policy.caveatKeys.add(`${coding.system}|${coding.code}`);
+                    }
+                }
+            }
+
+            this.topicPolicyCache = policy;
+        }
+        return this.topicPolicyCache;
+    }
+
+    /**
+     * API: Load Topic Policy
+     * Replaces the policy with the one in a Parameters resource:
+     * - topic (0..*): parts 'code' (Coding of the topic), 'confidentiality' (0..1 code) and
+     *   'refrain', 'obligation', 'purposeOfUse' (0..* Coding each)
+     * - default (0..1): level for topics without a 'confidentiality' (R when absent)
+     * - unmatched (0..1): level for analyzed resources without any sensitive topic (none when absent)
+     */
+    loadTopicPolicy(parameters) {
+        if (!parameters || parameters.resourceType !== 'Parameters') {
+            throw new Error('Invalid policy: resourceType must be "Parameters"');
+        }
+
+        const isLevel = code => this.CONFIDENTIALITY_LEVELS.includes(code);
+        const topics = [];
+        let defaultLevel = 'R';
+        let unmatchedLevel = null;
+
+        for (const [index, param] of (parameters.parameter || []).entries()) {
+            if (param.name === 'topic') {
+                const parts = param.part || [];
+                const codePart = parts.find(part => part.name === 'code');
+                const levelPart = parts.find(part => part.name === 'confidentiality');
+                const coding = codePart && codePart.valueCoding;
+                if (!coding || !coding.system || !coding.code) {
+                    throw new Error(`parameter[${index}]: topic requires a 'code' part with a Coding (system and code)`);
+                }
+                if (levelPart && !isLevel(levelPart.valueCode)) {
+                    throw new Error(`parameter[${index}]: topic ${coding.system}|${coding.code} 'confidentiality' must be one of ${this.CONFIDENTIALITY_LEVELS.join(', ')}`);
+                }
+
+                const handling = {};
+                for (const part of parts) {
+                    if (part.name === 'code' || part.name === 'confidentiality') {
+                        continue;
+                    }
+                    if (!this.HANDLING_CAVEAT_KINDS.includes(part.name)) {
+                        throw new Error(`parameter[${index}]: unknown topic part '${part.name}'`);
+                    }
+                    const caveat = part.valueCoding;
+                    if (!caveat || !caveat.system || !caveat.code) {
+                        throw new Error(`parameter[${index}]: topic ${coding.system}|${coding.code} '${part.name}' requires a Coding (system and code)`);
+                    }
+                    handling[part.name] = handling[part.name] || [];
+                    handling[part.name].push({ system: caveat.system, code: caveat.code, ...(caveat.display && { display: caveat.display }) });
+                }
+
+                if (!levelPart && Object.keys(handling).length === 0) {
+                    throw new Error(`parameter[${index}]: topic ${coding.system}|${coding.code} has neither a 'confidentiality' nor a handling caveat`);
+                }
+                topics.push({
+                    system: coding.system,
+                    code: coding.code,
+                    confidentiality: levelPart ? levelPart.valueCode : null,
+                    handling: Object.keys(handling).length > 0 ? handling : null
+                });
+            } else if (param.name === 'default' || param.name === 'unmatched') {
+                if (!isLevel(param.valueCode)) {
+                    throw new Error(`parameter[${index}]: '${param.name}' must be one of ${this.CONFIDENTIALITY_LEVELS.join(', ')}`);
+                }
+                if (param.name === 'default') {
+                    defaultLevel = param.valueCode;
+                } else {
+                    unmatchedLevel = param.valueCode;
+                }
+            } else {
+                throw new Error(`parameter[${index}]: unknown parameter '${param.name}'`);
+            }
+        }
+
+        const insertStmt = this.db.prepare(`
+            INSERT OR REPLACE INTO topic_policies (topic_system, topic_code, confidentiality, handling)
+            VALUES (?, ?, ?, ?)
+        `);
+        this.db.transaction(() => {
+            this.db.prepare('DELETE FROM topic_policies').run();
+            for (const topic of topics) {
+                insertStmt.run(topic.system, topic.code, topic.confidentiality, topic.handling ? JSON.stringify(topic.handling) : null);
+            }
+            this.setMetadata('defaultConfidentiality', defaultLevel);
+            if (unmatchedLevel) {
+                this.setMetadata('unmatchedConfidentiality', unmatchedLevel);
+            } else {
+                this.db.prepare('DELETE FROM metadata WHERE key = ?').run('unmatchedConfidentiality');
+            }
+        })();
+        this.topicPolicyCache = null;
+
+        const caveatCount = topics.filter(topic => topic.handling).length;
+        return this.createOperationOutcome(
+            'success',
+            `Loaded topic policy for ${topics.length} topic(s) (${caveatCount} with handling caveats); default ${defaultLevel}` +
+                (unmatchedLevel ? `, unmatched resources ${unmatchedLevel}` : '')
+        );
+    }
+
+    /**
+     * The current topic policy as the Parameters resource $sls-load-policy accepts
+     */
+    getTopicPolicyParameters() {
+        const policy = this.getTopicPolicy();
+        const parameters = {
+            resourceType: 'Parameters',
+            parameter: []
+        };
+
+        const rows = this.db.prepare('SELECT topic_system, topic_code FROM topic_policies ORDER BY topic_system, topic_code').all();
+        for (const row of rows) {
+            const topicKey = `${row.topic_system}|${row.topic_code}`;
+            const topicParam = {
+                name: 'topic',
+                part: [{ name: 'code', valueCoding: { system: row.topic_system, code: row.topic_code } }]
+            };
+            if (policy.levels.has(topicKey)) {
+                topicParam.part.push({ name: 'confidentiality', valueCode: policy.levels.get(topicKey) });
+            }
+            const handling = policy.handling.get(topicKey) || {};
+            for (const kind of this.HANDLING_CAVEAT_KINDS) {
+                for (const coding of handling[kind] || []) {
+                    topicParam.part.push({ name: kind, valueCoding: coding });
+                }
+            }
+            parameters.parameter.push(topicParam);
+        }
+
+        parameters.parameter.push({ name: 'default', valueCode: policy.default });
+        if (policy.unmatched) {
+            parameters.parameter.push({ name: 'unmatched', valueCode: policy.unmatched });
+        }
+
+        return parameters;
+    }
+
+    /**
+     * DS4P extensions for a label applied by the SLS: the SLS Device as classifier and, for topic
+     * labels, the loaded ValueSets defining the topic as related artifacts.
+     */
+    createLabelMarker(topicKey) {
+        const marker = [{
+            url: this.SEC_LABEL_CLASSIFIER_URL,
+            valueReference: this.SLS_DEVICE
+        }];
+
+        if (topicKey) {
+            for (const canonical of this.getTopicValueSets().get(topicKey) || []) {
+                marker.push({
+                    url: this.SEC_LABEL_RELATED_ARTIFACT_URL,
+                    valueRelatedArtifact: {
+                        type: 'derived-from',
+                        resource: canonical
+                    }
+                });
+            }
+        }
+
+        return marker;
+    }
+
+    /**
+     * Whether a meta.security coding carries the SLS classifier marker
+     */
+    isSlsMarkedLabel(coding) {
+        return Boolean(coding && Array.isArray(coding.extension) && coding.extension.some(ext =>
+            ext.url === this.SEC_LABEL_CLASSIFIER_URL &&
+            ext.valueReference &&
+            ext.valueReference.identifier &&
+            ext.valueReference.identifier.system === this.SLS_DEVICE.identifier.system &&
+            ext.valueReference.identifier.value === this.SLS_DEVICE.identifier.value
+        ));
+    }
+
+    /**
+     * Map of topic system|code to the canonical references (url|version) of the loaded ValueSets
+     * defining it. Cached until the rules change.
+     */
+    getTopicValueSets() {
+        if (!this.topicValueSetCache) {
+            const rows = this.db.prepare(`
+                SELECT DISTINCT topic_system, topic_code, valueset_url, valueset_version
+                FROM rules
+            `).all();
+
+            this.topicValueSetCache = new Map();
+            for (const row of rows) {
+                const topicKey = `${row.topic_system}|${row.topic_code}`;
+                if (!this.topicValueSetCache.has(topicKey)) {
+                    this.topicValueSetCache.set(topicKey, []);
+                }
+                if (row.valueset_url) {
+                    const canonical = row.valueset_version ? `${row.valueset_url}|${row.valueset_version}` : row.valueset_url;
+                    if (!this.topicValueSetCache.get(topicKey).includes(canonical)) {
+                        this.topicValueSetCache.get(topicKey).push(canonical);
+                    }
+                }
+            }
+        }
+
+        return this.topicValueSetCache;
+    }
+
+    /**
+     * Add lastSourceSync extension
+     */
+    addLastSourceSync(resource) {
+        if (!resource.meta) {
+            resource.meta = {};
+        }
+
+        if (!resource.meta.extension) {
+            resource.meta.extension = [];
+        }
+
+        resource.meta.extension = resource.meta.extension.filter(
+            ext => ext.url !== this.LAST_SOURCE_SYNC_URL
+        );
+
+        resource.meta.extension.push({
+            url: this.LAST_SOURCE_SYNC_URL,
+            valueDateTime: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Create batch entry. A urn:uuid/urn:oid fullUrl is kept, so references to it can be resolved (see createBatchBundle).
+     */
+    createBatchEntry(resource, fullUrl = null, versionId = null) {
+        // A resource without an id (e.g. one identified by a urn:uuid fullUrl) can only be created
+        if (!resource.id) {
+            return {
+                ...(fullUrl ? { fullUrl } : {}),
+                request: {
+                    method: 'POST',
+                    url: resource.resourceType
+                },
+                resource: resource
+            };
+        }
+
+        return {
+            ...(fullUrl && this.isUrnFullUrl(fullUrl) ? { fullUrl } : {}),
+            request: {
+                method: 'PUT',
+                url: `${resource.resourceType}/${resource.id}`,
+                ...(versionId ? { ifMatch: `W/"${versionId}"` } : {})
+            },
+            resource: resource
+        };
+    }
+
+    /**
+     * Copy the parts of a resource and its contained resources a patch may change: whether meta is
+     * present, its security codings and extensions, and the versionId
+     */
+    snapshotSecurityMeta(resource) {
+        const snapshot = node => ({
+            hasMeta: Boolean(node && node.meta),
+            security: node && node.meta && node.meta.security ? JSON.parse(JSON.stringify(node.meta.security)) : null,
+            extension: node && node.meta && node.meta.extension ? JSON.parse(JSON.stringify(node.meta.extension)) : null,
+            versionId: node && node.meta ? node.meta.versionId : undefined
+        });
+        return {
+            ...snapshot(resource),
+            contained: (Array.isArray(resource.contained) ? resource.contained : []).map(snapshot)
+        };
+    }
+
+    /**
+     * Create a PATCH batch entry changing a labeled resource from its original state (see
+     * snapshotSecurityMeta): the meta.security codings added and removed on the resource and its
+     * contained resources, and the lastSourceSync extension
+     */
+    createPatchEntry(resource, original, patchFormat) {
+        const sameCoding = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+        const diffSecurity = (node, before) => {
+            const after = (node && node.meta && node.meta.security) || [];
+            const prior = before.security || [];
+            return {
+                before,
+                removed: prior.map((coding, position) => ({ coding, position })).filter(item => !after.some(coding => sameCoding(coding, item.coding))),
+                added: after.filter(coding => !prior.some(item => sameCoding(item, coding)))
+            };
+        };
+
+        const changes = [
+            { index: null, ...diffSecurity(resource, original) },
+            ...(Array.isArray(resource.contained) ? resource.contained : [])
+                .map((contained, index) => ({ index, ...diffSecurity(contained, original.contained[index] || { hasMeta: false }) }))
+                .filter(change => change.index === null || change.removed.length > 0 || change.added.length > 0)
+        ];
+        const lastSourceSync = ((resource.meta && resource.meta.extension) || []).find(ext => ext.url === this.LAST_SOURCE_SYNC_URL);
 
-        if (!hasRestricted) {
-            resource.meta.security.push({
-                system: 'http://terminology.hl7.org/CodeSystem/v3-Confidentiality',
-                code: 'R',
-                display: 'restricted'
-            });
-        }
+        return {
+            request: {
+                method: 'PATCH',
+                url: `${resource.resourceType}/${resource.id}`,
+                ...(original.versionId ? { ifMatch: `W/"${original.versionId}"` } : {})
+            },
+            resource: patchFormat === 'json'
+                ? this.createJsonPatch(changes, original, lastSourceSync)
+                : this.createFhirPathPatch(resource.resourceType, changes, original, lastSourceSync)
+        };
+    }
 
-        for (const topicJson of matchedTopics) {
-            const topic = JSON.parse(topicJson);
-            
-            const hasTopic = resource.meta.security.some(
-                sec => sec.system === topic.system && sec.code === topic.code
-            );
+    /**
+     * FHIRPath Patch Parameters for the changes of createPatchEntry. Codings are deleted by system
+     * and code, so labels added on the server in the meantime are kept.
+     */
+    createFhirPathPatch(resourceType, changes, original, lastSourceSync) {
+        const parameter = [];
+        const operation = (type, path, parts = []) => parameter.push({
+            name: 'operation',
+            part: [{ name: 'type', valueCode: type }, { name: 'path', valueString: path }, ...parts]
+        });
+        const literal = value => `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+        const matches = coding => ['system', 'code']
+            .map(element => coding[element] === undefined ? `${element}.empty()` : `${element} = ${literal(coding[element])}`)
+            .join(' and ');
+
+        for (const { index, before, removed, added } of changes) {
+            const path = index === null ? resourceType : `${resourceType}.contained[${index}]`;
+            for (const { coding } of removed) {
+                operation('delete', `${path}.meta.security.where(${matches(coding)})`);
+            }
+            // A resource stored on the server always has meta, a contained resource may not
+            if (index !== null && !before.hasMeta) {
+                if (added.length > 0) {
+                    operation('add', path, [
+                        { name: 'name', valueString: 'meta' },
+                        { name: 'value', part: added.map(coding => ({ name: 'security', valueCoding: coding })) }
+                    ]);
+                }
+                continue;
+            }
+            for (const coding of added) {
+                operation('add', `${path}.meta`, [{ name: 'name', valueString: 'security' }, { name: 'value', valueCoding: coding }]);
+            }
+        }
 
-            if (!hasTopic) {
-                resource.meta.security.push({
-                    system: topic.system,
-                    code: topic.code,
-                    display: topic.display
-                });
+        if (lastSourceSync) {
+            if ((original.extension || []).some(ext => ext.url === this.LAST_SOURCE_SYNC_URL)) {
+                operation('replace', `${resourceType}.meta.extension.where(url = ${literal(this.LAST_SOURCE_SYNC_URL)}).value`, [
+                    { name: 'value', valueDateTime: lastSourceSync.valueDateTime }
+                ]);
+            } else {
+                operation('add', `${resourceType}.meta`, [
+                    { name: 'name', valueString: 'extension' },
+                    { name: 'value', part: [{ name: 'url', valueUri: lastSourceSync.url }, { name: 'valueDateTime', valueDateTime: lastSourceSync.valueDateTime }] }
+                ]);
             }
         }
+
+        return { resourceType: 'Parameters', parameter };
     }
 
     /**
-     * Add lastSourceSync extension
+     * JSON Patch (RFC 6902) for the changes of createPatchEntry, in a Binary as FHIR batches carry it.
+     * Array positions are those of the submitted resource; each removal is preceded by a test of the
+     * coding at that position, so the patch fails rather than removing another label.
      */
-    addLastSourceSync(resource) {
-        if (!resource.meta) {
-            resource.meta = {};
+    createJsonPatch(changes, original, lastSourceSync) {
+        const operations = [];
+
+        for (const { index, before, removed, added } of changes) {
+            const pointer = index === null ? '' : `/contained/${index}`;
+            // Removed from the end, so the positions of the remaining codings stay valid
+            for (const { coding, position } of [...removed].reverse()) {
+                operations.push({ op: 'test', path: `${pointer}/meta/security/${position}`, value: coding });
+                operations.push({ op: 'remove', path: `${pointer}/meta/security/${position}` });
+            }
+            if (added.length === 0) {
+                continue;
+            }
+            if (index !== null && !before.hasMeta) {
+                operations.push({ op: 'add', path: `${pointer}/meta`, value: { security: added } });
+            } else if (before.security) {
+                operations.push(...added.map(coding => ({ op: 'add', path: `${pointer}/meta/security/-`, value: coding })));
+            } else {
+                operations.push({ op: 'add', path: `${pointer}/meta/security`, value: added });
+            }
         }
 
-        if (!resource.meta.extension) {
-            resource.meta.extension = [];
+        if (lastSourceSync) {
+            const position = (original.extension || []).findIndex(ext => ext.url === this.LAST_SOURCE_SYNC_URL);
+            if (position >= 0) {
+                operations.push({ op: 'test', path: `/meta/extension/${position}/url`, value: this.LAST_SOURCE_SYNC_URL });
+                operations.push({ op: 'replace', path: `/meta/extension/${position}/valueDateTime`, value: lastSourceSync.valueDateTime });
+            } else if (original.extension) {
+                operations.push({ op: 'add', path: '/meta/extension/-', value: lastSourceSync });
+            } else {
+                operations.push({ op: 'add', path: '/meta/extension', value: [lastSourceSync] });
+            }
         }
 
-        resource.meta.extension = resource.meta.extension.filter(
-            ext => ext.url !== this.LAST_SOURCE_SYNC_URL
-        );
-
-        resource.meta.extension.push({
-            url: this.LAST_SOURCE_SYNC_URL,
-            valueDateTime: new Date().toISOString()
-        });
+        return {
+            resourceType: 'Binary',
+            contentType: 'application/json-patch+json',
+            data: Buffer.from(JSON.stringify(operations)).toString('base64')
+        };
     }
 
     /**
-     * Create batch entry
+     * Create the Bundle full mode returns, preserving the structure of the input Bundle
      */
-    createBatchEntry(resource) {
-        return {
-            request: {
-                method: 'PUT',
-                url: `${resource.resourceType}/${resource.id}`
+    createFullBundle(bundle, entries, stats) {
+        const outputBundle = {
+            resourceType: 'Bundle',
+            ...(bundle.id && { id: bundle.id }),
+            type: bundle.type || 'collection',
+            ...(bundle.identifier && { identifier: bundle.identifier }),
+            ...(bundle.timestamp && { timestamp: bundle.timestamp }),
+            meta: {
+                lastUpdated: new Date().toISOString(),
+                tag: [{
+                    system: 'http://example.org/fhir/CodeSystem/sls-processing',
+                    code: 'sls-tagged',
+                    display: 'SLS Security Labeled'
+                }]
             },
-            resource: resource
+            ...(bundle.total !== undefined && { total: bundle.total }),
+            ...(bundle.link && { link: bundle.link }),
+            entry: entries,
+            extension: [{
+                url: 'http://example.org/fhir/StructureDefinition/processing-summary',
+                extension: [
+                    { url: 'analyzed', valueInteger: stats.analyzed },
+                    { url: 'labeled', valueInteger: stats.labeled },
+                    { url: 'skipped', valueInteger: stats.skipped },
+                    { url: 'fhirVersion', valueCode: stats.fhirVersion }
+                ]
+            }]
         };
+
+        // Add distinct security labels to bundle meta
+        const securityLabels = this.collectDistinctSecurityLabels(entries);
+        if (securityLabels.length > 0) {
+            outputBundle.meta.security = securityLabels;
+        }
+
+        return outputBundle;
     }
 
     /**
      * Create FHIR Batch Bundle
+     * Provenance resources, if any, are added as create entries after the resource updates.
+     * Entries identified by a urn:uuid (or urn:oid) fullUrl, e.g. resources without an id that are created,
+     * can only be referenced within a transaction, so the Bundle is a transaction when there are any.
      */
-    createBatchBundle(entries, stats) {
+    createBatchBundle(entries, stats, provenances = [], transaction = entries.some(entry => entry.fullUrl && this.isUrnFullUrl(entry.fullUrl))) {
         const securityLabels = this.collectDistinctSecurityLabels(entries);
         
         const bundle = {
             resourceType: 'Bundle',
-            type: 'batch',
+            type: transaction ? 'transaction' : 'batch',
             meta: {
                 lastUpdated: new Date().toISOString(),
                 tag: [{
@@ -986,7 +4410,10 @@ class FHIRSecurityLabelingService {
                     display: 'SLS Security Labeled'
                 }]
             },
-            entry: entries,
+            entry: [
+                ...entries,
+                ...provenances.map(provenance => this.createProvenanceEntry(provenance, true))
+            ],
             extension: [{
                 url: 'http://example.org/fhir/StructureDefinition/processing-summary',
                 extension: [
@@ -996,6 +4423,13 @@ class FHIRSecurityLabelingService {
                 ]
             }]
         };
+
+        if (stats.downgraded !== undefined) {
+            bundle.extension[0].extension.push({ url: 'downgraded', valueInteger: stats.downgraded });
+        }
+        if (stats.fhirVersion) {
+            bundle.extension[0].extension.push({ url: 'fhirVersion', valueCode: stats.fhirVersion });
+        }
         
         if (securityLabels.length > 0) {
             bundle.meta.security = securityLabels;
@@ -1004,6 +4438,124 @@ class FHIRSecurityLabelingService {
         return bundle;
     }
 
+    isUrnFullUrl(fullUrl) {
+        return fullUrl.startsWith('urn:uuid:') || fullUrl.startsWith('urn:oid:');
+    }
+
+    /**
+     * Remember which topics were applied to a resource during this run (used for Provenance).
+     * ref is the key of its Bundle entry (see getEntryKey); resources without one cannot be a Provenance target.
+     */
+    recordLabeledTopics(labeledTopics, ref, topics) {
+        if (!ref) {
+            return;
+        }
+        if (!labeledTopics[ref]) {
+            labeledTopics[ref] = new Set();
+        }
+        for (const topic of topics) {
+            const parsed = JSON.parse(topic);
+            labeledTopics[ref].add(`${parsed.system}|${parsed.code}`);
+        }
+    }
+
+    /**
+     * Create Provenance resources for the labeled resources.
+     * mode 'resource' creates one Provenance per labeled resource, 'run' a single Provenance targeting all of them.
+     * Any other mode creates none.
+     */
+    createProvenanceResources(labeledTopics, mode) {
+        const refs = Object.keys(labeledTopics);
+        if (refs.length === 0 || (mode !== 'resource' && mode !== 'run')) {
+            return [];
+        }
+
+        const recorded = new Date().toISOString();
+
+        if (mode === 'run') {
+            const topicKeys = new Set();
+            for (const ref of refs) {
+                for (const topicKey of labeledTopics[ref]) {
+                    topicKeys.add(topicKey);
+                }
+            }
+            return [this.createProvenance(refs, topicKeys, recorded)];
+        }
+
+        return refs.map(ref => this.createProvenance([ref], labeledTopics[ref], recorded));
+    }
+
+    /**
+     * Create a single Provenance naming the SLS as the device agent that labeled the targets.
+     * policy lists the canonical URLs of the loaded ValueSets that define the applied topics.
+     */
+    createProvenance(targetRefs, topicKeys, recorded) {
+        const provenance = {
+            resourceType: 'Provenance',
+            id: crypto.randomUUID(),
+            target: targetRefs.map(ref => ({ reference: ref })),
+            recorded: recorded,
+            activity: {
+                coding: [{
+                    system: 'http://terminology.hl7.org/CodeSystem/v3-DataOperation',
+                    code: 'UPDATE',
+                    display: 'revise'
+                }],
+                text: 'Security labels applied by the Security Labeling Service'
+            },
+            agent: [{
+                type: {
+                    coding: [{
+                        system: 'http://terminology.hl7.org/CodeSystem/provenance-participant-type',
+                        code: 'performer',
+                        display: 'Performer'
+                    }]
+                },
+                who: this.SLS_DEVICE
+            }]
+        };
+
+        const policies = this.getValueSetPoliciesForTopics(topicKeys);
+        if (policies.length > 0) {
+            provenance.policy = policies;
+        }
+
+        return provenance;
+    }
+
+    /**
+     * Get canonical references (url|version) of the loaded ValueSets that define any of the given topics
+     */
+    getValueSetPoliciesForTopics(topicKeys) {
+        const policies = new Set();
+        for (const topicKey of topicKeys) {
+            for (const canonical of this.getTopicValueSets().get(topicKey) || []) {
+                policies.add(canonical);
+            }
+        }
+
+        return Array.from(policies);
+    }
+
+    /**
+     * Create a Bundle entry for a Provenance resource, as a create request when the Bundle is a batch/transaction
+     */
+    createProvenanceEntry(provenance, asRequest) {
+        const entry = {
+            fullUrl: `urn:uuid:${provenance.id}`,
+            resource: provenance
+        };
+
+        if (asRequest) {
+            entry.request = {
+                method: 'POST',
+                url: 'Provenance'
+            };
+        }
+
+        return entry;
+    }
+
     /**
      * Collect distinct security labels from all resources
      */
@@ -1015,6 +4567,11 @@ class FHIRSecurityLabelingService {
             
             if (resource.meta && resource.meta.security && Array.isArray(resource.meta.security)) {
                 for (const security of resource.meta.security) {
+                    // Confidentiality is rolled up as the high-water mark below, not as a union
+                    if (this.isConfidentialityLabel(security)) {
+                        continue;
+                    }
+
                     const key = `${security.system}|${security.code}`;
                     
                     if (!securityMap.has(key)) {
@@ -1028,13 +4585,26 @@ class FHIRSecurityLabelingService {
             }
         }
         
-        return Array.from(securityMap.values());
+        const labels = Array.from(securityMap.values());
+        const confidentiality = this.getHighestConfidentiality(
+            entries.flatMap(entry => (entry.resource && entry.resource.meta && entry.resource.meta.security) || [])
+        );
+        if (confidentiality) {
+            labels.unshift({
+                system: this.CONFIDENTIALITY_SYSTEM,
+                code: confidentiality,
+                display: this.CONFIDENTIALITY_DISPLAY[confidentiality]
+            });
+        }
+
+        return labels;
     }
 
     /**
      * Create FHIR OperationOutcome
+     * details are added as warning issues, information as informational issues
      */
-    createOperationOutcome(severity, message, details = null) {
+    createOperationOutcome(severity, message, details = null, information = []) {
         const outcome = {
             resourceType: 'OperationOutcome',
             issue: [{
@@ -1054,36 +4624,430 @@ class FHIRSecurityLabelingService {
             }
         }
 
+        for (const note of information) {
+            outcome.issue.push({
+                severity: 'information',
+                code: 'informational',
+                diagnostics: note
+            });
+        }
+
         return outcome;
     }
 
+    /**
+     * Create and persist an AuditEvent for an SLS operation.
+     * details: { operation, action, statusCode, clientAddress, result, references }
+     * - operation: SLS operation code (e.g. 'sls-tag'), recorded as AuditEvent.subtype
+     * - result: the response body, used for the outcome description, resource counts and applied topics
+     * - references: resources the operation acted on (e.g. loaded ValueSets)
+     */
+    recordAuditEvent(details) {
+        const auditEvent = this.createAuditEvent(details);
+
+        this.db.prepare(`
+            INSERT INTO audit_events (id, recorded, type_code, subtype_code, outcome, resource)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `).run(
+            auditEvent.id,
+            auditEvent.recorded,
+            auditEvent.type.code,
+            details.operation,
+            auditEvent.outcome,
+            JSON.stringify(auditEvent)
+        );
+
+        return auditEvent;
+    }
+
+    /**
+     * Build a FHIR R4 AuditEvent describing a single SLS REST call
+     */
+    createAuditEvent(details) {
+        const recorded = new Date().toISOString();
+        const statusCode = details.statusCode || 200;
+        const result = details.result || {};
+
+        // 0 = success, 4 = minor failure (client error), 8 = serious failure (server error)
+        let outcome = '0';
+        if (statusCode >= 500) {
+            outcome = '8';
+        } else if (statusCode >= 400) {
+            outcome = '4';
+        }
+
+        const auditEvent = {
+            resourceType: 'AuditEvent',
+            id: crypto.randomUUID(),
+            meta: {
+                lastUpdated: recorded
+            },
+            type: {
+                system: 'http://terminology.hl7.org/CodeSystem/audit-event-type',
+                code: 'rest',
+                display: 'RESTful Operation'
+            },
+            subtype: [{
+                system: 'http://example.org/fhir/CodeSystem/sls-operation',
+                code: details.operation
+            }],
+            action: details.action || 'E',
+            recorded: recorded,
+            outcome: outcome,
+            agent: [{
+                type: {
+                    coding: [{
+                        system: 'http://dicom.nema.org/resources/ontology/DCM',
+                        code: '110153',
+                        display: 'Source Role ID'
+                    }]
+                },
+                who: {
+                    display: details.clientAddress || 'unknown'
+                },
+                requestor: true,
+                network: {
+                    address: details.clientAddress || 'unknown',
+                    type: '2'
+                }
+            }],
+            source: {
+                observer: this.SLS_DEVICE,
+                type: [{
+                    system: 'http://terminology.hl7.org/CodeSystem/security-source-type',
+                    code: '4',
+                    display: 'Application Server'
+                }]
+            }
+        };
+
+        if (result.resourceType === 'OperationOutcome' && result.issue && result.issue.length > 0) {
+            auditEvent.outcomeDesc = result.issue[0].diagnostics;
+        }
+
+        const entities = (details.references || []).map(reference => ({
+            what: { reference: reference },
+            type: {
+                system: 'http://terminology.hl7.org/CodeSystem/audit-entity-type',
+                code: '2',
+                display: 'System Object'
+            }
+        }));
+
+        // Resource counts and applied topics from $sls-tag results
+        const counts = this.getProcessingCounts(result);
+        if (counts) {
+            const entity = {
+                what: { display: 'Bundle' },
+                type: {
+                    system: 'http://terminology.hl7.org/CodeSystem/audit-entity-type',
+                    code: '2',
+                    display: 'System Object'
+                },
+                detail: Object.entries(counts).map(([type, value]) => ({
+                    type: type,
+                    valueString: String(value)
+                }))
+            };
+            if (result.meta && result.meta.security && result.meta.security.length > 0) {
+                entity.securityLabel = result.meta.security;
+            }
+            entities.push(entity);
+        }
+
+        if (entities.length > 0) {
+            auditEvent.entity = entities;
+        }
+
+        return auditEvent;
+    }
+
+    /**
+     * Read analyzed/labeled/skipped counts from a $sls-tag result (Bundle summary extension or explain Parameters)
+     */
+    getProcessingCounts(result) {
+        let parts = null;
+        if (result.resourceType === 'Bundle' && result.extension) {
+            const summary = result.extension.find(ext => ext.url === 'http://example.org/fhir/StructureDefinition/processing-summary');
+            parts = summary ? summary.extension : null;
+        } else if (result.resourceType === 'Parameters' && result.parameter) {
+            const summary = result.parameter.find(param => param.name === 'summary');
+            parts = summary ? summary.part.map(part => ({ url: part.name, valueInteger: part.valueInteger })) : null;
+        }
+
+        if (!parts) {
+            return null;
+        }
+
+        // The summary also reports the fhirVersion, which is not a count
+        const counts = {};
+        for (const part of parts.filter(part => part.valueInteger !== undefined)) {
+            counts[part.url] = part.valueInteger;
+        }
+        return counts;
+    }
+
+    /**
+     * Search stored AuditEvents and return a searchset Bundle, newest first.
+     * Supported parameters: date (eq/ge/gt/le/lt prefixes, repeatable), type, subtype, outcome, _count
+     */
+    searchAuditEvents(params = {}) {
+        const conditions = [];
+        const values = [];
+
+        const dates = [].concat(params.date || []);
+        for (const date of dates) {
+            const match = /^(eq|ge|gt|le|lt)?(\d{4}(-\d{2}(-\d{2}(T[0-9:.]+(Z|[+-]\d{2}:\d{2})?)?)?)?)$/.exec(date);
+            if (!match) {
+                throw new Error(`Invalid date parameter: ${date}`);
+            }
+            const prefix = match[1] || 'eq';
+            const value = match[2];
+            // A partial date covers everything it is a prefix of; '~' sorts after every character of an ISO timestamp
+            const upper = `${value}~`;
+            if (prefix === 'eq') {
+                conditions.push('recorded >= ? AND recorded <= ?');
+                values.push(value, upper);
+            } else if (prefix === 'ge') {
+                conditions.push('recorded >= ?');
+                values.push(value);
+            } else if (prefix === 'gt') {
+                conditions.push('recorded > ?');
+                values.push(upper);
+            } else if (prefix === 'le') {
+                conditions.push('recorded <= ?');
+                values.push(upper);
+            } else {
+                conditions.push('recorded < ?');
+                values.push(value);
+            }
+        }
+
+        // Token parameters accept either code or system|code
+        const tokenFilters = { type: 'type_code', subtype: 'subtype_code', outcome: 'outcome' };
+        for (const [param, column] of Object.entries(tokenFilters)) {
+            if (!params[param]) {
+                continue;
+            }
+            const codes = [].concat(params[param])
+                .flatMap(value => value.split(','))
+                .map(token => token.includes('|') ? token.split('|')[1] : token);
+            conditions.push(`${column} IN (${codes.map(() => '?').join(', ')})`);
+            values.push(...codes);
+        }
+
+        let count = 50;
+        if (params._count !== undefined) {
+            count = parseInt(params._count, 10);
+            if (isNaN(count) || count < 0) {
+                throw new Error(`Invalid _count parameter: ${params._count}`);
+            }
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        const total = this.db.prepare(`SELECT COUNT(*) AS count FROM audit_events ${where}`).get(...values).count;
+        const rows = this.db.prepare(`
+            SELECT resource FROM audit_events ${where}
+            ORDER BY recorded DESC
+            LIMIT ?
+        `).all(...values, count);
+
+        return {
+            resourceType: 'Bundle',
+            type: 'searchset',
+            meta: {
+                lastUpdated: new Date().toISOString()
+            },
+            total: total,
+            entry: rows.map(row => {
+                const auditEvent = JSON.parse(row.resource);
+                return {
+                    fullUrl: `AuditEvent/${auditEvent.id}`,
+                    resource: auditEvent,
+                    search: { mode: 'match' }
+                };
+            })
+        };
+    }
+
+    /**
+     * Queue an operation for asynchronous processing (Prefer: respond-async).
+     * The input is persisted with the job, so queued jobs survive a restart. Input too large to hold
+     * in memory can be passed as a file instead (parameters.inputFile), and the operation may write
+     * its output to a file (parameters.outputFile); both files are removed with the job.
+     * Returns the job id, which identifies the status URL.
+     */
+    createJob(operation, input, parameters = {}, clientAddress = null) {
+        const id = crypto.randomUUID();
+        const now = new Date().toISOString();
+        const expired = new Date(Date.now() - this.jobRetentionHours * 3600000).toISOString();
+
+        const expiredJobs = this.db.prepare(`SELECT id FROM jobs WHERE status IN ('completed', 'failed') AND updated_at < ?`).pluck().all(expired);
+        expiredJobs.forEach(expiredId => this.deleteJob(expiredId));
+        this.db.prepare(`
+            INSERT INTO jobs (id, operation, status, parameters, input, client_address, created_at, updated_at)
+            VALUES (?, ?, 'queued', ?, ?, ?, ?, ?)
+        `).run(id, operation, JSON.stringify(parameters), JSON.stringify(input), clientAddress, now, now);
+
+        return id;
+    }
+
+    /**
+     * Get a job by id, or null when it does not exist (or was cancelled and removed)
+     */
+    getJob(id) {
+        const row = this.db.prepare('SELECT * FROM jobs WHERE id = ?').get(id);
+        if (!row) {
+            return null;
+        }
+        return {
+            id: row.id,
+            operation: row.operation,
+            status: row.status,
+            parameters: JSON.parse(row.parameters),
+            clientAddress: row.client_address,
+            progress: row.progress,
+            statusCode: row.status_code,
+            result: row.result ? JSON.parse(row.result) : null,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+    }
+
+    /**
+     * Mark the oldest queued job in-progress and return it with its input, or null when none is queued
+     */
+    claimNextJob() {
+        return this.db.transaction(() => {
+            const row = this.db.prepare(`SELECT id, input FROM jobs WHERE status = 'queued' ORDER BY created_at, rowid LIMIT 1`).get();
+            if (!row) {
+                return null;
+            }
+            this.db.prepare(`UPDATE jobs SET status = 'in-progress', updated_at = ? WHERE id = ?`)
+                .run(new Date().toISOString(), row.id);
+            return { ...this.getJob(row.id), input: JSON.parse(row.input) };
+        })();
+    }
+
+    updateJobProgress(id, progress) {
+        this.db.prepare(`UPDATE jobs SET progress = ?, updated_at = ? WHERE id = ? AND status = 'in-progress'`)
+            .run(progress, new Date().toISOString(), id);
+    }
+
+    /**
+     * Store the response of a job: status 'completed' when the operation succeeded, 'failed' when it
+     * could not be run or returned an error. The input is no longer needed and is dropped.
+     */
+    finishJob(id, status, statusCode, result) {
+        const job = this.getJob(id);
+        this.removeJobFiles(job, ['inputFile']);
+        this.db.prepare(`
+            UPDATE jobs SET status = ?, status_code = ?, result = ?, input = NULL, progress = NULL, updated_at = ?
+            WHERE id = ? AND status = 'in-progress'
+        `).run(status, statusCode, JSON.stringify(result), new Date().toISOString(), id);
+    }
+
+    /**
+     * Cancel a job. Queued and finished jobs are removed at once; an in-progress job is marked
+     * 'cancelled' and removed by the runner, which discards its result.
+     * Returns false when the job does not exist.
+     */
+    cancelJob(id) {
+        const job = this.getJob(id);
+        if (!job || job.status === 'cancelled') {
+            return false;
+        }
+        if (job.status === 'in-progress') {
+            this.db.prepare(`UPDATE jobs SET status = 'cancelled', updated_at = ? WHERE id = ?`)
+                .run(new Date().toISOString(), id);
+        } else {
+            this.deleteJob(id);
+        }
+        return true;
+    }
+
+    isJobCancelled(id) {
+        const row = this.db.prepare('SELECT status FROM jobs WHERE id = ?').get(id);
+        return !row || row.status === 'cancelled';
+    }
+
+    deleteJob(id) {
+        this.removeJobFiles(this.getJob(id), ['inputFile', 'outputFile']);
+        this.db.prepare('DELETE FROM jobs WHERE id = ?').run(id);
+    }
+
+    removeJobFiles(job, names) {
+        for (const name of names) {
+            if (job && job.parameters[name]) {
+                fs.rmSync(job.parameters[name], { force: true });
+            }
+        }
+    }
+
+    /**
+     * Requeue the jobs a restart interrupted and drop those cancelled meanwhile.
+     * Returns the number of queued jobs.
+     */
+    resumeJobs() {
+        this.db.prepare(`SELECT id FROM jobs WHERE status = 'cancelled'`).pluck().all().forEach(id => this.deleteJob(id));
+        this.db.exec(`UPDATE jobs SET status = 'queued', progress = NULL WHERE status = 'in-progress'`);
+        return this.db.prepare(`SELECT COUNT(*) as count FROM jobs WHERE status = 'queued'`).get().count;
+    }
+
     /**
      * Get status information
      */
     getStatus() {
-        const valueSets = this.db.prepare('SELECT id, date FROM valuesets').all();
-        const rulesCount = this.db.prepare('SELECT COUNT(*) as count FROM rules').get();
+        const valueSets = this.db.prepare(`
+            SELECT v.id, v.url, v.version, v.date, COUNT(r.code_key) AS ruleCount
+            FROM valuesets v
+            LEFT JOIN rules r ON r.valueset_id = v.id
+            GROUP BY v.id
+        `).all();
+        const rulesCount = this.db.prepare(
+            'SELECT COUNT(*) as count FROM (SELECT DISTINCT code_key, topic_code, topic_system FROM rules)'
+        ).get();
         const rulesByTopic = this.db.prepare(`
             SELECT
                 topic_code AS code,
                 topic_system AS system,
-                COALESCE(topic_display, topic_code) AS display,
-                COUNT(*) AS codeCount
+                MAX(COALESCE(topic_display, topic_code)) AS display,
+                COUNT(DISTINCT code_key) AS codeCount
             FROM rules
-            GROUP BY topic_code, topic_system, topic_display
+            GROUP BY topic_code, topic_system
             ORDER BY codeCount DESC, display ASC
         `).all();
         const stats = this.getStats();
         const latestDate = this.getMetadata('latestDate') || this.getMetadata('earliestDate');
+        const cachedExpansions = this.db.prepare('SELECT COUNT(*) as count FROM expansion_cache').get();
+        const policy = this.getTopicPolicy();
 
         return {
             valueSets: valueSets.map(vs => ({
                 id: vs.id,
-                date: vs.date
+                url: vs.url,
+                version: vs.version,
+                date: vs.date,
+                ruleCount: vs.ruleCount
             })),
             rulesCount: rulesCount.count,
             rulesByTopic: rulesByTopic,
             latestDate: latestDate,
+            terminologyServer: this.terminologyServer,
+            fhirServer: this.fhirServer,
+            cachedExpansions: cachedExpansions.count,
+            topicPolicy: {
+                topics: Array.from(new Set([...policy.levels.keys(), ...policy.handling.keys()]), topic => ({
+                    topic: topic,
+                    confidentiality: policy.levels.get(topic) || null,
+                    ...Object.fromEntries(this.HANDLING_CAVEAT_KINDS.map(kind => [
+                        kind,
+                        ((policy.handling.get(topic) || {})[kind] || []).map(coding => `${coding.system}|${coding.code}`)
+                    ]))
+                })),
+                default: policy.default,
+                unmatched: policy.unmatched
+            },
             stats: stats
         };
     }
@@ -1115,10 +5079,14 @@ class FHIRSecurityLabelingService {
             .run(increment, key);
     }
 
+    // The audit trail and the expansion cache are intentionally kept when data is cleared
     clearAllData() {
+        this.topicValueSetCache = null;
+        this.topicPolicyCache = null;
         this.db.exec(`
             DELETE FROM valuesets;
             DELETE FROM rules;
+            DELETE FROM topic_policies;
             DELETE FROM metadata;
             UPDATE stats SET value = 0, updated_at = CURRENT_TIMESTAMP;
         `);
@@ -8,19 +8,35 @@ const cors = require('cors');
 const bodyParser = require('body-parser');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { finished, pipeline } = require('stream/promises');
 const FHIRSecurityLabelingService = require('./fhir-sls-service');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const DB_PATH = process.env.DB_PATH || path.join(__dirname, 'data', 'sls.db');
+const TERMINOLOGY_SERVER_URL = process.env.TERMINOLOGY_SERVER_URL || 'https://tx.fhir.org/r4';
+const EXPANSION_PAGE_SIZE = parseInt(process.env.EXPANSION_PAGE_SIZE, 10) || 1000;
+const PROPAGATION_CONFIG = process.env.PROPAGATION_CONFIG || path.join(__dirname, 'propagation-config.json');
+const FHIR_SERVER_URL = process.env.FHIR_SERVER_URL || null;
+const BULK_DATA_DIR = process.env.BULK_DATA_DIR || null;
+const WRITE_BACK_RETRIES = process.env.WRITE_BACK_RETRIES !== undefined ? parseInt(process.env.WRITE_BACK_RETRIES, 10) : 3;
+const MAX_BUNDLE_ENTRIES = parseInt(process.env.MAX_BUNDLE_ENTRIES, 10) || 1000000;
+const MAX_EVERYTHING_PAGES = parseInt(process.env.MAX_EVERYTHING_PAGES, 10) || 20;
+const JSON_BODY_LIMIT = 10 * 1024 * 1024;
+// Streamed Bundles of asynchronous requests and their results, kept next to the database with the jobs
+const JOB_FILES_DIR = path.join(path.dirname(DB_PATH), 'jobs');
 
 // Initialize service
 let slsService;
 
 // Middleware
 app.use(cors());
-app.use(bodyParser.json({ limit: '10mb' }));
-app.use(bodyParser.urlencoded({ extended: true, limit: '10mb' }));
+// Bundles posted to $sls-tag that are larger than the limit are streamed instead
+app.use(prepareBundleStream);
+app.use(bodyParser.json({ limit: JSON_BODY_LIMIT, type: req => Boolean(req.is('application/json')) && !req.bundleStream }));
+app.use(bodyParser.urlencoded({ extended: true, limit: JSON_BODY_LIMIT }));
 
 // Logging middleware
 app.use((req, res, next) => {
@@ -30,13 +46,71 @@ app.use((req, res, next) => {
 
 // Initialize service on startup
 try {
-    slsService = new FHIRSecurityLabelingService(DB_PATH);
+    slsService = new FHIRSecurityLabelingService(DB_PATH, {
+        terminologyServer: TERMINOLOGY_SERVER_URL,
+        expansionPageSize: EXPANSION_PAGE_SIZE,
+        propagationConfigPath: PROPAGATION_CONFIG,
+        fhirServer: FHIR_SERVER_URL,
+        writeBackRetries: WRITE_BACK_RETRIES,
+        maxBundleEntries: MAX_BUNDLE_ENTRIES,
+        maxEverythingPages: MAX_EVERYTHING_PAGES
+    });
+    // Fail fast on a broken propagation config rather than on the first $sls-tag call
+    slsService.loadPropagationConfig();
     console.log('✓ FHIR SLS Service initialized');
 } catch (error) {
     console.error('✗ Failed to initialize SLS Service:', error);
     process.exit(1);
 }
 
+/**
+ * Persist an AuditEvent for an SLS operation.
+ * Failures are logged but never change the response of the audited call.
+ */
+function auditOperation(req, details) {
+    recordAudit(req.ip || req.socket.remoteAddress, details);
+}
+
+function recordAudit(clientAddress, details) {
+    try {
+        slsService.recordAuditEvent({ ...details, clientAddress });
+    } catch (error) {
+        console.error('Error recording AuditEvent:', error);
+    }
+}
+
+// Prefer: respond-async asks for FHIR's asynchronous request pattern
+function isAsyncRequest(req) {
+    return /(^|[,;\s])respond-async($|[,;\s])/i.test(req.get('Prefer') || '');
+}
+
+// The FHIR version comes from the fhirVersion parameter, else the Accept header's fhirVersion, else the content
+function getRequestedFhirVersion(req) {
+    const acceptVersion = (req.get('Accept') || '').match(/fhirVersion\s*=\s*"?([^";,\s]+)/i);
+    return req.query.fhirVersion || (acceptVersion && acceptVersion[1]);
+}
+
+/**
+ * Queue an operation as a background job and answer 202 Accepted with its status URL
+ * in Content-Location. The job is audited when it finishes.
+ */
+function acceptAsync(req, res, operation, input, parameters) {
+    const jobId = slsService.createJob(operation, input, parameters, req.ip || req.socket.remoteAddress);
+    const statusUrl = `${req.protocol}://${req.get('host')}/jobs/${jobId}`;
+
+    setImmediate(runJobQueue);
+    res.status(202)
+        .set('Content-Location', statusUrl)
+        .json({
+            resourceType: 'OperationOutcome',
+            issue: [{
+                severity: 'information',
+                code: 'informational',
+                diagnostics: `${operation} accepted as job ${jobId}; poll ${statusUrl} for the result`
+            }]
+        });
+}
+
 // Health check endpoint
 app.get('/health', (req, res) => {
     res.json({
@@ -98,79 +172,890 @@ app.get('/OperationDefinition/:id', (req, res) => {
     }
 });
 
+// References to the ValueSets submitted to $sls-load-valuesets, for the audit trail
+function getValueSetReferences(input) {
+    const resources = input.resourceType === 'Bundle'
+        ? (input.entry || []).map(entry => entry.resource)
+        : [input];
+    return resources
+        .filter(resource => resource && resource.resourceType === 'ValueSet' && resource.id)
+        .map(resource => `ValueSet/${resource.id}`);
+}
+
 // FHIR Operation: $sls-load-valuesets
 app.post('/\\$sls-load-valuesets', async (req, res) => {
     try {
         const bundle = req.body;
         
         if (!bundle) {
-            return res.status(400).json({
+            const outcome = {
                 resourceType: 'OperationOutcome',
                 issue: [{
                     severity: 'error',
                     code: 'required',
                     diagnostics: 'Parameter "bundle" is required'
                 }]
-            });
+            };
+            auditOperation(req, { operation: 'sls-load-valuesets', action: 'C', statusCode: 400, result: outcome });
+            return res.status(400).json(outcome);
         }
 
-        const outcome = await slsService.processValueSetBundle(bundle);
-        
-        // Check if operation was successful
-        const isError = outcome.issue[0].severity === 'error';
-        const statusCode = isError ? 400 : 200;
+        if (isAsyncRequest(req)) {
+            return acceptAsync(req, res, 'sls-load-valuesets', bundle, {});
+        }
+
+        const { statusCode, result: outcome } = await runLoadValueSets(bundle);
         
+        auditOperation(req, {
+            operation: 'sls-load-valuesets',
+            action: 'C',
+            statusCode,
+            result: outcome,
+            references: getValueSetReferences(bundle)
+        });
         res.status(statusCode).json(outcome);
         
     } catch (error) {
         console.error('Error processing ValueSets:', error);
-        res.status(500).json({
+        const outcome = {
             resourceType: 'OperationOutcome',
             issue: [{
                 severity: 'error',
                 code: 'exception',
                 diagnostics: `Server error: ${error.message}`
             }]
+        };
+        auditOperation(req, { operation: 'sls-load-valuesets', action: 'C', statusCode: 500, result: outcome });
+        res.status(500).json(outcome);
+    }
+});
+
+async function runLoadValueSets(bundle, onProgress) {
+    const outcome = await slsService.processValueSetBundle(bundle, { onProgress });
+
+    // Check if operation was successful
+    const isError = outcome.issue[0].severity === 'error';
+    return { statusCode: isError ? 400 : 200, result: outcome };
+}
+
+// FHIR Operation: $sls-load-package
+// Body is the package tarball (application/gzip), or a Parameters resource with a base64 'package' parameter
+app.post('/\\$sls-load-package', bodyParser.raw({
+    type: ['application/gzip', 'application/x-gzip', 'application/tar+gzip', 'application/x-tar', 'application/octet-stream'],
+    limit: '50mb'
+}), async (req, res) => {
+    try {
+        let packageBuffer = Buffer.isBuffer(req.body) && req.body.length > 0 ? req.body : null;
+        if (!packageBuffer && req.body && req.body.resourceType === 'Parameters') {
+            const param = (req.body.parameter || []).find(p => p.name === 'package' && p.valueBase64Binary);
+            packageBuffer = param ? Buffer.from(param.valueBase64Binary, 'base64') : null;
+        }
+
+        if (!packageBuffer) {
+            const outcome = {
+                resourceType: 'OperationOutcome',
+                issue: [{
+                    severity: 'error',
+                    code: 'required',
+                    diagnostics: 'Parameter "package" is required (FHIR NPM package .tgz as application/gzip body)'
+                }]
+            };
+            auditOperation(req, { operation: 'sls-load-package', action: 'C', statusCode: 400, result: outcome });
+            return res.status(400).json(outcome);
+        }
+
+        const outcome = await slsService.processPackage(packageBuffer);
+        const statusCode = outcome.issue[0].severity === 'error' ? 400 : 200;
+
+        auditOperation(req, { operation: 'sls-load-package', action: 'C', statusCode, result: outcome });
+        res.status(statusCode).json(outcome);
+
+    } catch (error) {
+        console.error('Error loading package:', error);
+        const outcome = {
+            resourceType: 'OperationOutcome',
+            issue: [{
+                severity: 'error',
+                code: 'exception',
+                diagnostics: `Server error: ${error.message}`
+            }]
+        };
+        auditOperation(req, { operation: 'sls-load-package', action: 'C', statusCode: 500, result: outcome });
+        res.status(500).json(outcome);
+    }
+});
+
+// FHIR Operation: $sls-load-policy
+// Replaces the topic policy (confidentiality levels and handling caveats) with the one in a Parameters resource
+app.post('/\\$sls-load-policy', (req, res) => {
+    try {
+        const outcome = slsService.loadTopicPolicy(req.body);
+        auditOperation(req, { operation: 'sls-load-policy', action: 'U', statusCode: 200, result: outcome });
+        res.status(200).json(outcome);
+    } catch (error) {
+        console.error('Error loading policy:', error);
+        const outcome = {
+            resourceType: 'OperationOutcome',
+            issue: [{
+                severity: 'error',
+                code: 'invalid',
+                diagnostics: error.message
+            }]
+        };
+        auditOperation(req, { operation: 'sls-load-policy', action: 'U', statusCode: 400, result: outcome });
+        res.status(400).json(outcome);
+    }
+});
+
+// FHIR Operation: $sls-get-policy
+// Returns the current topic policy in the Parameters format $sls-load-policy accepts
+app.get('/\\$sls-get-policy', (req, res) => {
+    try {
+        res.json(slsService.getTopicPolicyParameters());
+    } catch (error) {
+        console.error('Error reading policy:', error);
+        res.status(500).json({
+            resourceType: 'OperationOutcome',
+            issue: [{
+                severity: 'error',
+                code: 'exception',
+                diagnostics: `Failed to read policy: ${error.message}`
+            }]
         });
     }
 });
 
 // FHIR Operation: $sls-tag
-app.post('/\\$sls-tag', (req, res) => {
+app.post('/\\$sls-tag', async (req, res) => {
     try {
         const bundle = req.body;
         const mode = req.query.mode || 'batch';
+        const provenance = req.query.provenance;
+        const fetchMissing = req.query.fetchMissing === 'true';
+        const writeBack = req.query.writeBack === 'true';
+        const patchFormat = req.query.patchFormat;
+        const fhirVersion = getRequestedFhirVersion(req);
         
         if (!bundle) {
-            return res.status(400).json({
+            const outcome = {
                 resourceType: 'OperationOutcome',
                 issue: [{
                     severity: 'error',
                     code: 'required',
                     diagnostics: 'Parameter "bundle" is required'
                 }]
-            });
+            };
+            auditOperation(req, { operation: 'sls-tag', statusCode: 400, result: outcome });
+            return res.status(400).json(outcome);
         }
 
-        let resultBundle;
+        if (provenance && provenance !== 'resource' && provenance !== 'run') {
+            const outcome = {
+                resourceType: 'OperationOutcome',
+                issue: [{
+                    severity: 'error',
+                    code: 'invalid',
+                    diagnostics: 'Parameter "provenance" must be "resource" or "run"'
+                }]
+            };
+            auditOperation(req, { operation: 'sls-tag', statusCode: 400, result: outcome });
+            return res.status(400).json(outcome);
+        }
+
+        if (patchFormat && patchFormat !== 'fhirpath' && patchFormat !== 'json') {
+            const outcome = {
+                resourceType: 'OperationOutcome',
+                issue: [{
+                    severity: 'error',
+                    code: 'invalid',
+                    diagnostics: 'Parameter "patchFormat" must be "fhirpath" or "json"'
+                }]
+            };
+            auditOperation(req, { operation: 'sls-tag', statusCode: 400, result: outcome });
+            return res.status(400).json(outcome);
+        }
+
+        if (fhirVersion && !slsService.normalizeFhirVersion(fhirVersion)) {
+            const outcome = {
+                resourceType: 'OperationOutcome',
+                issue: [{
+                    severity: 'error',
+                    code: 'invalid',
+                    diagnostics: 'Parameter "fhirVersion" must be R4, R4B or R5 (or 4.0, 4.3, 5.0)'
+                }]
+            };
+            auditOperation(req, { operation: 'sls-tag', statusCode: 400, result: outcome });
+            return res.status(400).json(outcome);
+        }
+
+        // Bulk Data NDJSON, uploaded or listed in an $export manifest, is streamed instead of parsed as a Bundle
+        if (req.is('application/fhir+ndjson') || (Array.isArray(bundle.output) && !bundle.resourceType)) {
+            return tagNdjson(req, res, { mode, provenance, fhirVersion, fetchMissing, writeBack, respondAsync: isAsyncRequest(req) });
+        }
+
+        if (req.bundleStream) {
+            return tagBundleStream(req, res, { mode, provenance, fhirVersion, fetchMissing, writeBack, respondAsync: isAsyncRequest(req) });
+        }
+
+        if (Array.isArray(bundle.entry) && bundle.entry.length > MAX_BUNDLE_ENTRIES) {
+            const outcome = {
+                resourceType: 'OperationOutcome',
+                issue: [{
+                    severity: 'error',
+                    code: 'too-costly',
+                    diagnostics: `Bundle has more than ${MAX_BUNDLE_ENTRIES} entries`
+                }]
+            };
+            auditOperation(req, { operation: 'sls-tag', statusCode: 400, result: outcome });
+            return res.status(400).json(outcome);
+        }
+
+        const serverParameter = fetchMissing ? 'fetchMissing' : writeBack ? 'writeBack' : null;
+        const serverMode = mode === 'batch' || mode === 'patch';
+        if (serverParameter && (!serverMode || !FHIR_SERVER_URL)) {
+            const outcome = {
+                resourceType: 'OperationOutcome',
+                issue: [{
+                    severity: 'error',
+                    code: 'not-supported',
+                    diagnostics: !serverMode
+                        ? `Parameter "${serverParameter}" is only supported in batch and patch mode`
+                        : `Parameter "${serverParameter}" requires a FHIR server (FHIR_SERVER_URL)`
+                }]
+            };
+            auditOperation(req, { operation: 'sls-tag', statusCode: 400, result: outcome });
+            return res.status(400).json(outcome);
+        }
+
+        const parameters = { mode, provenance, fhirVersion, fetchMissing, writeBack, patchFormat };
+        if (isAsyncRequest(req)) {
+            return acceptAsync(req, res, 'sls-tag', bundle, parameters);
+        }
+
+        const { statusCode, result } = await runTag(bundle, parameters);
+        auditOperation(req, { operation: 'sls-tag', statusCode, result });
+        res.status(statusCode).json(result);
+        
+    } catch (error) {
+        console.error('Error analyzing resources:', error);
+        const outcome = {
+            resourceType: 'OperationOutcome',
+            issue: [{
+                severity: 'error',
+                code: 'processing',
+                diagnostics: error.message
+            }]
+        };
+        auditOperation(req, { operation: 'sls-tag', statusCode: 400, result: outcome });
+        res.status(400).json(outcome);
+    }
+});
+
+/**
+ * Analyze a Bundle as $sls-tag does and return { statusCode, result }.
+ * onProgress is called before each step; an error it throws ends the run before the write-back.
+ */
+async function runTag(bundle, parameters, onProgress = () => {}) {
+    const { mode, provenance, fhirVersion, fetchMissing, writeBack, patchFormat } = parameters;
+    const fail = (statusCode, code, diagnostics) => ({
+        statusCode,
+        result: {
+            resourceType: 'OperationOutcome',
+            issue: [{ severity: 'error', code, diagnostics }]
+        }
+    });
+
+    let resultBundle;
+    try {
         if (mode === 'full') {
-            resultBundle = slsService.analyzeResourceBundleFull(bundle);
+            resultBundle = slsService.analyzeResourceBundleFull(bundle, { provenance, fhirVersion });
+        } else if (mode === 'explain') {
+            resultBundle = slsService.explainResourceBundle(bundle, { fhirVersion });
+        } else if (mode === 'reconcile') {
+            resultBundle = slsService.reconcileResourceBundle(bundle, { provenance, fhirVersion });
         } else {
-            resultBundle = slsService.analyzeResourceBundle(bundle);
+            if (fetchMissing) {
+                onProgress('Reading missing propagation targets');
+            }
+            const serverEntries = fetchMissing ? await slsService.fetchMissingPropagationTargets(bundle, { fhirVersion }) : [];
+            onProgress(`Analyzing ${(bundle.entry || []).length + serverEntries.length} resources`);
+            resultBundle = mode === 'patch'
+                ? slsService.analyzeResourceBundlePatch(bundle, { provenance, fhirVersion, serverEntries, patchFormat })
+                : slsService.analyzeResourceBundle(bundle, { provenance, fhirVersion, serverEntries });
         }
-        
-        res.status(200).json(resultBundle);
-        
     } catch (error) {
         console.error('Error analyzing resources:', error);
-        res.status(400).json({
+        return fail(400, 'processing', error.message);
+    }
+
+    if (writeBack) {
+        try {
+            onProgress(`Writing ${resultBundle.entry.length} entries to ${FHIR_SERVER_URL}`);
+            resultBundle = await slsService.storeBatchBundle(resultBundle);
+        } catch (error) {
+            console.error('Error writing labeled resources:', error);
+            return fail(502, 'transient', error.message);
+        }
+    }
+
+    return { statusCode: 200, result: resultBundle };
+}
+
+// $sls-tag for Bulk Data NDJSON: the body is NDJSON (application/fhir+ndjson) or an $export manifest
+// listing files within BULK_DATA_DIR; the labeled resources are streamed back as NDJSON
+async function tagNdjson(req, res, options) {
+    const reject = (statusCode, code, diagnostics) => {
+        const outcome = {
+            resourceType: 'OperationOutcome',
+            issue: [{ severity: 'error', code, diagnostics }]
+        };
+        auditOperation(req, { operation: 'sls-tag', statusCode, result: outcome });
+        // The NDJSON content type may already be set
+        return res.status(statusCode).type('application/json').json(outcome);
+    };
+
+    if (options.mode !== 'batch' || options.provenance || options.fetchMissing || options.writeBack) {
+        return reject(400, 'not-supported', 'NDJSON input supports batch mode only, without provenance, fetchMissing or writeBack');
+    }
+    if (options.respondAsync) {
+        return reject(400, 'not-supported', 'NDJSON input cannot be processed asynchronously (Prefer: respond-async): its NDJSON result does not fit the batch-response of a status URL');
+    }
+
+    let inputs = [req];
+    if (!req.is('application/fhir+ndjson')) {
+        if (!BULK_DATA_DIR) {
+            return reject(400, 'not-supported', 'Manifests require a bulk data directory (BULK_DATA_DIR)');
+        }
+        try {
+            inputs = slsService.openNdjsonManifest(req.body, BULK_DATA_DIR);
+        } catch (error) {
+            return reject(400, 'invalid', error.message);
+        }
+    }
+
+    try {
+        res.status(200).type('application/fhir+ndjson');
+        const summary = await slsService.analyzeNdjson(inputs, res, { fhirVersion: options.fhirVersion });
+        auditOperation(req, { operation: 'sls-tag', statusCode: 200, result: summary });
+        res.end();
+    } catch (error) {
+        console.error('Error analyzing NDJSON:', error);
+        if (!res.headersSent) {
+            return reject(400, 'processing', error.message);
+        }
+        // Part of the output is already sent; abort the response so the client sees it is incomplete
+        const outcome = {
+            resourceType: 'OperationOutcome',
+            issue: [{ severity: 'error', code: 'exception', diagnostics: error.message }]
+        };
+        auditOperation(req, { operation: 'sls-tag', statusCode: 500, result: outcome });
+        res.destroy(error);
+    } finally {
+        inputs.filter(input => input !== req).forEach(input => input.destroy());
+    }
+}
+
+/**
+ * Set req.bundleStream for a JSON Bundle posted to $sls-tag that is too large for the JSON body parser,
+ * to be parsed from the stream instead. A Bundle of unknown size (chunked) is read up to the limit first:
+ * if it ends within it, it is parsed as req.body as usual, else the stream continues where reading stopped.
+ */
+async function prepareBundleStream(req, res, next) {
+    if (req.method !== 'POST' || req.path !== '/$sls-tag' || !req.is(['application/json', 'application/fhir+json'])) {
+        return next();
+    }
+    const length = parseInt(req.get('Content-Length'), 10);
+    if (length <= JSON_BODY_LIMIT) {
+        return next();
+    }
+
+    // Not a for await loop, which would destroy the request when reading stops at the limit
+    const iterator = req[Symbol.asyncIterator]();
+    const chunks = [];
+    if (Number.isNaN(length)) {
+        let size = 0;
+        try {
+            while (size <= JSON_BODY_LIMIT) {
+                const chunk = await iterator.next();
+                if (chunk.done) {
+                    break;
+                }
+                chunks.push(chunk.value);
+                size += chunk.value.length;
+            }
+        } catch (error) {
+            return next(error);
+        }
+
+        // As the JSON body parser would have: the parsed body, or a 400 error
+        if (size <= JSON_BODY_LIMIT) {
+            const text = Buffer.concat(chunks).toString('utf8');
+            try {
+                req.body = text.trim() ? JSON.parse(text) : {};
+            } catch (error) {
+                error.status = 400;
+                error.type = 'entity.parse.failed';
+                return next(error);
+            }
+            req._body = true;
+            return next();
+        }
+    }
+
+    req.bundleStream = Readable.from((async function* () {
+        yield* chunks;
+        for (let rest = await iterator.next(); !rest.done; rest = await iterator.next()) {
+            yield rest.value;
+        }
+    })());
+    // Discard what a response sent early (e.g. a rejection) left unread, as Node does for a request
+    // nobody reads, so the client can finish sending and reuse the connection
+    res.on('finish', async () => {
+        try {
+            while (!(await iterator.next()).done);
+        } catch (error) {
+            // The client went away
+        }
+    });
+    next();
+}
+
+// $sls-tag for large Bundles: the entries are parsed from the request stream as they arrive and the
+// labeled Bundle is streamed back (see analyzeBundleStream)
+async function tagBundleStream(req, res, options) {
+    const reject = (statusCode, code, diagnostics) => {
+        const outcome = {
+            resourceType: 'OperationOutcome',
+            issue: [{ severity: 'error', code, diagnostics }]
+        };
+        auditOperation(req, { operation: 'sls-tag', statusCode, result: outcome });
+        return res.status(statusCode).json(outcome);
+    };
+
+    if ((options.mode !== 'batch' && options.mode !== 'full') || options.fetchMissing || options.writeBack) {
+        return reject(400, 'not-supported', `Streamed Bundles (over ${JSON_BODY_LIMIT / 1024 / 1024}MB) support batch and full mode only, without fetchMissing or writeBack`);
+    }
+    if (options.respondAsync) {
+        // Spooled to disk first, as the job runs after the response (or after a restart)
+        fs.mkdirSync(JOB_FILES_DIR, { recursive: true });
+        const inputFile = path.join(JOB_FILES_DIR, `${crypto.randomUUID()}.json`);
+        try {
+            await pipeline(req.bundleStream, fs.createWriteStream(inputFile));
+        } catch (error) {
+            fs.rmSync(inputFile, { force: true });
+            return reject(400, 'processing', `Bundle could not be read: ${error.message}`);
+        }
+        const { mode, provenance, fhirVersion } = options;
+        return acceptAsync(req, res, 'sls-tag', null, {
+            mode, provenance, fhirVersion, inputFile, outputFile: inputFile.replace(/\.json$/, '-labeled.json')
+        });
+    }
+
+    try {
+        // Nothing is written until the whole Bundle is read, so errors in it still get a 400
+        res.status(200).type('application/json');
+        const summary = await slsService.analyzeBundleStream(req.bundleStream, res, {
+            mode: options.mode,
+            provenance: options.provenance,
+            fhirVersion: options.fhirVersion
+        });
+        auditOperation(req, { operation: 'sls-tag', statusCode: 200, result: summary });
+        res.end();
+    } catch (error) {
+        console.error('Error analyzing resources:', error);
+        if (!res.headersSent) {
+            return reject(400, error.code === 'too-costly' ? 'too-costly' : 'processing', error.message);
+        }
+        // Part of the output is already sent; abort the response so the client sees it is incomplete
+        const outcome = {
+            resourceType: 'OperationOutcome',
+            issue: [{ severity: 'error', code: 'exception', diagnostics: error.message }]
+        };
+        auditOperation(req, { operation: 'sls-tag', statusCode: 500, result: outcome });
+        res.destroy(error);
+    }
+}
+
+// FHIR Operation: $sls-scan
+// Labels a patient's whole record, read from the FHIR server with Patient/$everything
+async function scanPatient(req, res, patientId) {
+    const provenance = req.query.provenance;
+    const writeBack = req.query.writeBack === 'true';
+    const fhirVersion = getRequestedFhirVersion(req);
+    const references = patientId ? [`Patient/${patientId}`] : [];
+
+    const reject = (statusCode, code, diagnostics) => {
+        const outcome = {
+            resourceType: 'OperationOutcome',
+            issue: [{ severity: 'error', code, diagnostics }]
+        };
+        auditOperation(req, { operation: 'sls-scan', statusCode, result: outcome, references });
+        return res.status(statusCode).json(outcome);
+    };
+
+    if (!FHIR_SERVER_URL) {
+        return reject(400, 'not-supported', '$sls-scan requires a FHIR server (FHIR_SERVER_URL)');
+    }
+    if (!patientId || !/^[A-Za-z0-9\-.]{1,64}$/.test(patientId)) {
+        return reject(400, 'required', 'A valid patient id is required (Patient/{id}/$sls-scan or $sls-scan?patient={id})');
+    }
+    if (provenance && provenance !== 'resource' && provenance !== 'run') {
+        return reject(400, 'invalid', 'Parameter "provenance" must be "resource" or "run"');
+    }
+    if (fhirVersion && !slsService.normalizeFhirVersion(fhirVersion)) {
+        return reject(400, 'invalid', 'Parameter "fhirVersion" must be R4, R4B or R5 (or 4.0, 4.3, 5.0)');
+    }
+
+    let bundle;
+    try {
+        bundle = await slsService.fetchPatientEverything(patientId);
+    } catch (error) {
+        console.error('Error reading patient record:', error);
+        if (error.code === 'too-costly') {
+            return reject(400, 'too-costly', error.message);
+        }
+        if (error.code === 'timeout') {
+            return reject(504, 'timeout', error.message);
+        }
+        return reject(502, error.code === 'security' ? 'security' : 'transient', error.message);
+    }
+    if (!bundle) {
+        return reject(404, 'not-found', `Patient/${patientId} not found on ${FHIR_SERVER_URL}`);
+    }
+
+    let resultBundle;
+    try {
+        resultBundle = slsService.analyzeResourceBundle(bundle, { provenance, fhirVersion });
+    } catch (error) {
+        console.error('Error analyzing patient record:', error);
+        return reject(400, 'processing', error.message);
+    }
+
+    if (writeBack) {
+        try {
+            resultBundle = await slsService.storeBatchBundle(resultBundle);
+        } catch (error) {
+            console.error('Error writing labeled resources:', error);
+            return reject(502, 'transient', error.message);
+        }
+    }
+
+    auditOperation(req, { operation: 'sls-scan', statusCode: 200, result: resultBundle, references });
+    res.status(200).json(resultBundle);
+}
+
+app.post('/Patient/:id/\\$sls-scan', (req, res) => scanPatient(req, res, req.params.id));
+app.post('/\\$sls-scan', (req, res) => scanPatient(req, res, req.query.patient));
+
+// Subscription REST-hook target: labels the resources of R4B/R5 notifications and writes them back
+// Subscription servers send application/fhir+json, which the global JSON parser leaves alone
+app.post('/subscription-notification', bodyParser.json({
+    type: ['application/json', 'application/fhir+json'],
+    limit: JSON_BODY_LIMIT
+}), async (req, res) => {
+    try {
+        if (!FHIR_SERVER_URL) {
+            const outcome = {
+                resourceType: 'OperationOutcome',
+                issue: [{
+                    severity: 'error',
+                    code: 'not-supported',
+                    diagnostics: 'Subscription notifications require a FHIR server (FHIR_SERVER_URL)'
+                }]
+            };
+            auditOperation(req, { operation: 'subscription-notification', statusCode: 400, result: outcome });
+            return res.status(400).json(outcome);
+        }
+
+        let bundle;
+        try {
+            bundle = await slsService.resolveNotificationBundle(req.body);
+        } catch (error) {
+            if (error.code !== 'transient') {
+                throw error;
+            }
+            console.error('Error reading notified resources:', error);
+            const outcome = {
+                resourceType: 'OperationOutcome',
+                issue: [{
+                    severity: 'error',
+                    code: 'transient',
+                    diagnostics: error.message
+                }]
+            };
+            auditOperation(req, { operation: 'subscription-notification', statusCode: 502, result: outcome });
+            return res.status(502).json(outcome);
+        }
+        if (!bundle) {
+            const outcome = {
+                resourceType: 'OperationOutcome',
+                issue: [{
+                    severity: 'success',
+                    code: 'informational',
+                    diagnostics: 'Notification acknowledged; it carries no resources to label'
+                }]
+            };
+            auditOperation(req, { operation: 'subscription-notification', statusCode: 200, result: outcome });
+            return res.status(200).json(outcome);
+        }
+
+        const serverEntries = await slsService.fetchMissingPropagationTargets(bundle);
+        const batchBundle = slsService.analyzeResourceBundle(bundle, { serverEntries });
+
+        let resultBundle;
+        try {
+            resultBundle = await slsService.storeBatchBundle(batchBundle);
+        } catch (error) {
+            console.error('Error writing labeled resources:', error);
+            const outcome = {
+                resourceType: 'OperationOutcome',
+                issue: [{
+                    severity: 'error',
+                    code: 'transient',
+                    diagnostics: error.message
+                }]
+            };
+            auditOperation(req, { operation: 'subscription-notification', statusCode: 502, result: outcome });
+            return res.status(502).json(outcome);
+        }
+
+        auditOperation(req, { operation: 'subscription-notification', statusCode: 200, result: resultBundle });
+        res.status(200).json(resultBundle);
+
+    } catch (error) {
+        console.error('Error processing subscription notification:', error);
+        const outcome = {
             resourceType: 'OperationOutcome',
             issue: [{
                 severity: 'error',
                 code: 'processing',
                 diagnostics: error.message
             }]
+        };
+        auditOperation(req, { operation: 'subscription-notification', statusCode: 400, result: outcome });
+        res.status(400).json(outcome);
+    }
+});
+
+// Operations that can run as background jobs (Prefer: respond-async)
+const jobHandlers = {
+    'sls-load-valuesets': (input, parameters, onProgress) => runLoadValueSets(input, onProgress),
+    'sls-tag': (input, parameters, onProgress) => parameters.inputFile
+        ? runTagFile(parameters, onProgress)
+        : runTag(input, parameters, onProgress)
+};
+
+/**
+ * Analyze a streamed Bundle spooled to parameters.inputFile as $sls-tag does and write the labeled
+ * Bundle to parameters.outputFile. Returns { statusCode, result }, with the labeled Bundle without
+ * its entries as the result of a successful run.
+ */
+async function runTagFile(parameters, onProgress) {
+    onProgress('Analyzing the streamed Bundle');
+    const input = fs.createReadStream(parameters.inputFile);
+    const output = fs.createWriteStream(parameters.outputFile);
+    try {
+        const result = await slsService.analyzeBundleStream(input, output, {
+            mode: parameters.mode,
+            provenance: parameters.provenance,
+            fhirVersion: parameters.fhirVersion
         });
+        output.end();
+        await finished(output);
+        return { statusCode: 200, result };
+    } catch (error) {
+        console.error('Error analyzing resources:', error);
+        output.destroy();
+        return {
+            statusCode: 400,
+            result: {
+                resourceType: 'OperationOutcome',
+                issue: [{ severity: 'error', code: error.code === 'too-costly' ? 'too-costly' : 'processing', diagnostics: error.message }]
+            }
+        };
+    } finally {
+        input.destroy();
+    }
+}
+
+// Jobs run one at a time in the order they were queued
+let jobQueueRunning = false;
+
+async function runJobQueue() {
+    if (jobQueueRunning) {
+        return;
+    }
+    jobQueueRunning = true;
+    try {
+        let job;
+        while ((job = slsService.claimNextJob())) {
+            await runJob(job);
+        }
+    } catch (error) {
+        console.error('Error running job queue:', error);
+    } finally {
+        jobQueueRunning = false;
+    }
+}
+
+async function runJob(job) {
+    // Progress reports are where a cancelled job stops
+    const onProgress = progress => {
+        if (slsService.isJobCancelled(job.id)) {
+            throw new Error(`Job ${job.id} was cancelled`);
+        }
+        slsService.updateJobProgress(job.id, progress);
+    };
+
+    let status = 'completed';
+    let statusCode;
+    let result;
+    try {
+        ({ statusCode, result } = await jobHandlers[job.operation](job.input, job.parameters, onProgress));
+        if (statusCode >= 400) {
+            status = 'failed';
+        }
+    } catch (error) {
+        console.error(`Error running job ${job.id}:`, error);
+        status = 'failed';
+        statusCode = 500;
+        result = {
+            resourceType: 'OperationOutcome',
+            issue: [{
+                severity: 'error',
+                code: 'exception',
+                diagnostics: `Server error: ${error.message}`
+            }]
+        };
+    }
+
+    if (slsService.isJobCancelled(job.id)) {
+        slsService.deleteJob(job.id);
+        return;
+    }
+    slsService.finishJob(job.id, status, statusCode, result);
+    recordAudit(job.clientAddress, {
+        operation: job.operation,
+        action: job.operation === 'sls-load-valuesets' ? 'C' : undefined,
+        statusCode,
+        result,
+        references: job.operation === 'sls-load-valuesets' ? getValueSetReferences(job.input) : undefined
+    });
+}
+
+// Status URL of an asynchronous request: 202 with X-Progress while the job runs, then a batch-response
+// Bundle holding the operation's response or, as FHIR's async pattern requires for a request that
+// failed, the operation's error status (4xx, or 500 when the job could not be run) and OperationOutcome
+app.get('/jobs/:id', (req, res) => {
+    const job = slsService.getJob(req.params.id);
+    if (!job || job.status === 'cancelled') {
+        return res.status(404).json({
+            resourceType: 'OperationOutcome',
+            issue: [{
+                severity: 'error',
+                code: 'not-found',
+                diagnostics: `Job ${req.params.id} not found`
+            }]
+        });
+    }
+
+    if (job.status === 'queued' || job.status === 'in-progress') {
+        return res.status(202)
+            .set('X-Progress', job.progress || job.status)
+            .set('Retry-After', '2')
+            .end();
+    }
+
+    if (job.status === 'failed') {
+        return res.status(job.statusCode).json(job.result);
+    }
+
+    // A streamed Bundle's result is too large for the table and is streamed from its file
+    if (job.parameters.outputFile) {
+        const output = fs.createReadStream(job.parameters.outputFile);
+        output.on('error', error => res.destroy(error));
+        output.on('end', () => res.end(`,"response":{"status":"${job.statusCode}"}}]}`));
+        res.status(200).type('application/json')
+            .write(`{"resourceType":"Bundle","id":"${job.id}","type":"batch-response","timestamp":"${job.updatedAt}","entry":[{"resource":`);
+        return output.pipe(res, { end: false });
+    }
+
+    res.status(200).json({
+        resourceType: 'Bundle',
+        id: job.id,
+        type: 'batch-response',
+        timestamp: job.updatedAt,
+        entry: [{
+            resource: job.result,
+            response: {
+                status: String(job.statusCode)
+            }
+        }]
+    });
+});
+
+// Cancel a queued or running job, or delete a finished one
+app.delete('/jobs/:id', (req, res) => {
+    if (!slsService.cancelJob(req.params.id)) {
+        return res.status(404).json({
+            resourceType: 'OperationOutcome',
+            issue: [{
+                severity: 'error',
+                code: 'not-found',
+                diagnostics: `Job ${req.params.id} not found`
+            }]
+        });
+    }
+    res.status(202).json({
+        resourceType: 'OperationOutcome',
+        issue: [{
+            severity: 'success',
+            code: 'informational',
+            diagnostics: `Job ${req.params.id} has been cancelled.`
+        }]
+    });
+});
+
+// Unload a single ValueSet and the rules it contributed
+app.delete('/ValueSet/:id', (req, res) => {
+    const references = [`ValueSet/${req.params.id}`];
+    try {
+        const removed = slsService.unloadValueSet(req.params.id);
+        if (!removed) {
+            const outcome = {
+                resourceType: 'OperationOutcome',
+                issue: [{
+                    severity: 'error',
+                    code: 'not-found',
+                    diagnostics: `ValueSet/${req.params.id} not found`
+                }]
+            };
+            auditOperation(req, { operation: 'valueset-delete', action: 'D', statusCode: 404, result: outcome, references });
+            return res.status(404).json(outcome);
+        }
+
+        const outcome = {
+            resourceType: 'OperationOutcome',
+            issue: [{
+                severity: 'success',
+                code: 'informational',
+                diagnostics: `ValueSet/${req.params.id} and its rules have been removed.`
+            }]
+        };
+        auditOperation(req, { operation: 'valueset-delete', action: 'D', statusCode: 200, result: outcome, references });
+        res.status(200).json(outcome);
+    } catch (error) {
+        console.error('Error unloading ValueSet:', error);
+        const outcome = {
+            resourceType: 'OperationOutcome',
+            issue: [{
+                severity: 'error',
+                code: 'exception',
+                diagnostics: `Failed to unload ValueSet: ${error.message}`
+            }]
+        };
+        auditOperation(req, { operation: 'valueset-delete', action: 'D', statusCode: 500, result: outcome, references });
+        res.status(500).json(outcome);
     }
 });
 
@@ -192,23 +1077,44 @@ app.get('/status', (req, res) => {
 app.post('/admin/clear-data', (req, res) => {
     try {
         slsService.clearAllData();
-        res.status(200).json({
+        const outcome = {
             resourceType: 'OperationOutcome',
             issue: [{
                 severity: 'success',
                 code: 'informational',
-                diagnostics: 'All ValueSets, rules, metadata, and statistics have been cleared.'
+                diagnostics: 'All ValueSets, rules, policies, metadata, and statistics have been cleared.'
             }]
-        });
+        };
+        auditOperation(req, { operation: 'clear-data', action: 'D', statusCode: 200, result: outcome });
+        res.status(200).json(outcome);
     } catch (error) {
         console.error('Error clearing persisted data:', error);
-        res.status(500).json({
+        const outcome = {
             resourceType: 'OperationOutcome',
             issue: [{
                 severity: 'error',
                 code: 'exception',
                 diagnostics: `Failed to clear data: ${error.message}`
             }]
+        };
+        auditOperation(req, { operation: 'clear-data', action: 'D', statusCode: 500, result: outcome });
+        res.status(500).json(outcome);
+    }
+});
+
+// Search the audit trail: GET /AuditEvent?date=ge2024-01-01&type=rest&subtype=sls-tag&outcome=0&_count=20
+app.get('/AuditEvent', (req, res) => {
+    try {
+        res.json(slsService.searchAuditEvents(req.query));
+    } catch (error) {
+        console.error('Error searching AuditEvents:', error);
+        res.status(400).json({
+            resourceType: 'OperationOutcome',
+            issue: [{
+                severity: 'error',
+                code: 'invalid',
+                diagnostics: error.message
+            }]
         });
     }
 });
@@ -262,7 +1168,20 @@ app.listen(PORT, () => {
     console.log(`Server: http://localhost:${PORT}`);
     console.log(`Health: http://localhost:${PORT}/health`);
     console.log(`Metadata: http://localhost:${PORT}/metadata`);
+    console.log(`Terminology: ${TERMINOLOGY_SERVER_URL}`);
+    console.log(`FHIR server: ${FHIR_SERVER_URL || 'none (fetchMissing and writeBack disabled)'}`);
+    console.log(`Propagation config: ${PROPAGATION_CONFIG}`);
+    console.log(`Bulk data directory: ${BULK_DATA_DIR || 'none (NDJSON manifests disabled)'}`);
+    console.log(`Max Bundle entries: ${MAX_BUNDLE_ENTRIES}`);
+    console.log(`Max $everything pages: ${MAX_EVERYTHING_PAGES}`);
     console.log('=================================');
+
+    // Jobs queued or interrupted before a restart are run again
+    const queuedJobs = slsService.resumeJobs();
+    if (queuedJobs > 0) {
+        console.log(`Resuming ${queuedJobs} queued job(s)`);
+        runJobQueue();
+    }
 });
 
 module.exports = app;
@@ -101,7 +101,7 @@ class FHIRSecurityLabelingService {
 
                     // Expand if needed
                     if (!resource.expansion || !resource.expansion.contains) {
-                        const expanded = await this.expandValueSet(resource);
+                        const expanded = await this.expandValueSet(resource, valueSets);
                         if (expanded) {
                             resource = expanded;
                         } else {
@@ -158,10 +158,167 @@ class FHIRSecurityLabelingService {
     }
 
     /**
-     * Expand a ValueSet using tx.fhir.org if no expansion present
+     * Expand a ValueSet in-process when its compose only enumerates codes:
+     * include/exclude concept lists and imports (valueSet) of ValueSets that are already loaded
+     * or appear earlier in the same load. Returns null when any include or exclude uses a filter
+     * or a whole code system, or imports an unknown ValueSet; those need a terminology server.
      */
-    async expandValueSet(valueSet) {
+    expandValueSetLocally(valueSet, loadedValueSets = []) {
+        const compose = valueSet.compose;
+        if (!compose || !compose.include || compose.include.length === 0) {
+            return null;
+        }
+
+        const used = { codeSystems: new Set(), valueSets: new Set() };
+        const included = new Map();
+
+        for (const include of compose.include) {
+            const codes = this.resolveComposeClause(include, loadedValueSets, used);
+            if (!codes) {
+                return null;
+            }
+            for (const [key, entry] of codes) {
+                if (!included.has(key)) {
+                    included.set(key, entry);
+                }
+            }
+        }
+
+        for (const exclude of compose.exclude || []) {
+            const codes = this.resolveComposeClause(exclude, loadedValueSets, used);
+            if (!codes) {
+                return null;
+            }
+            for (const key of codes.keys()) {
+                included.delete(key);
+            }
+        }
+
+        const contains = Array.from(included.values());
+        const parameter = [{ name: 'expansion-source', valueString: 'local' }];
+        for (const system of used.codeSystems) {
+            parameter.push({ name: 'used-codesystem', valueUri: system });
+        }
+        for (const canonical of used.valueSets) {
+            parameter.push({ name: 'used-valueset', valueUri: canonical });
+        }
+
+        return {
+            ...valueSet,
+            expansion: {
+                timestamp: new Date().toISOString(),
+                total: contains.length,
+                parameter: parameter,
+                contains: contains
+            }
+        };
+    }
+
+    /**
+     * Resolve one compose include/exclude into a Map of system|code to expansion.contains entries.
+     * Imported ValueSets are intersected with each other and with any concepts or system given.
+     * Returns null if the clause cannot be expanded locally.
+     */
+    resolveComposeClause(clause, loadedValueSets, used) {
+        if (clause.filter && clause.filter.length > 0) {
+            return null;
+        }
+
+        const imports = clause.valueSet || [];
+        let codes = null;
+
+        if (clause.concept && clause.concept.length > 0) {
+            if (!clause.system) {
+                return null;
+            }
+            codes = new Map();
+            for (const concept of clause.concept) {
+                const entry = { system: clause.system, code: concept.code };
+                if (clause.version) {
+                    entry.version = clause.version;
+                }
+                if (concept.display) {
+                    entry.display = concept.display;
+                }
+                codes.set(`${clause.system}|${concept.code}`, entry);
+            }
+        } else if (clause.system && imports.length === 0) {
+            // All codes of a code system - only a terminology server knows them
+            return null;
+        }
+
+        if (clause.system) {
+            used.codeSystems.add(clause.version ? `${clause.system}|${clause.version}` : clause.system);
+        }
+
+        for (const canonical of imports) {
+            const imported = this.findLoadedValueSet(canonical, loadedValueSets);
+            if (!imported) {
+                return null;
+            }
+            used.valueSets.add(canonical);
+
+            const importedCodes = new Map();
+            this.collectExpansionCodes(imported.expansion.contains, importedCodes);
+
+            if (codes === null) {
+                codes = clause.system
+                    ? new Map([...importedCodes].filter(([, entry]) => entry.system === clause.system))
+                    : importedCodes;
+            } else {
+                codes = new Map([...codes].filter(([key]) => importedCodes.has(key)));
+            }
+        }
+
+        return codes;
+    }
+
+    /**
+     * Find an expanded ValueSet by canonical (url or url|version), preferring ValueSets from the current load
+     */
+    findLoadedValueSet(canonical, loadedValueSets) {
+        const [url, version] = canonical.split('|');
+        const candidates = [...loadedValueSets, ...(this.getValueSets() || [])];
+        return candidates.find(vs =>
+            vs.url === url &&
+            (!version || vs.version === version) &&
+            vs.expansion && vs.expansion.contains
+        ) || null;
+    }
+
+    /**
+     * Flatten (possibly nested) expansion.contains into a Map of system|code to entry
+     */
+    collectExpansionCodes(contains, codes) {
+        for (const item of contains || []) {
+            if (item.system && item.code && !item.abstract) {
+                const entry = { system: item.system, code: item.code };
+                if (item.version) {
+                    entry.version = item.version;
+                }
+                if (item.display) {
+                    entry.display = item.display;
+                }
+                codes.set(`${item.system}|${item.code}`, entry);
+            }
+            if (item.contains) {
+                this.collectExpansionCodes(item.contains, codes);
+            }
+        }
+    }
+
+    /**
+     * Expand a ValueSet if no expansion present.
+     * Enumerated compose definitions are expanded locally; everything else uses tx.fhir.org.
+     */
+    async expandValueSet(valueSet, loadedValueSets = []) {
         try {
+            const localExpansion = this.expandValueSetLocally(valueSet, loadedValueSets);
+            if (localExpansion) {
+                console.log(`Expanded ValueSet ${valueSet.id || 'unknown'} locally (${localExpansion.expansion.total} codes)`);
+                return localExpansion;
+            }
+
             console.log(`Expanding ValueSet ${valueSet.id || 'unknown'} using tx.fhir.org...`);
             
             const url = 'https://tx.fhir.org/r4/ValueSet/$expand';
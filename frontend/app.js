@@ -98,6 +98,40 @@ async function processValueSets() {
     }
 }
 
+// API 1: Load sensitive-topic ValueSets from a FHIR NPM package
+async function loadPackage() {
+    const fileInput = document.getElementById('packageFile');
+    const output = document.getElementById('valuesetOutput');
+
+    if (!fileInput.files || fileInput.files.length === 0) {
+        output.textContent = 'Please choose a FHIR NPM package (.tgz) file.';
+        output.className = 'output error';
+        return;
+    }
+
+    try {
+        output.textContent = 'Loading package...';
+        output.className = 'output';
+
+        const response = await fetch(`${API_BASE_URL}/$sls-load-package`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/gzip',
+            },
+            body: fileInput.files[0]
+        });
+
+        const outcome = await response.json();
+
+        output.textContent = JSON.stringify(outcome, null, 2);
+        output.className = outcome.issue[0].severity === 'error' ? 'output error' : 'output success';
+
+    } catch (error) {
+        output.textContent = `Error: ${error.message}`;
+        output.className = 'output error';
+    }
+}
+
 // Clear ValueSets and rules from server-side persistence
 async function clearValueSets() {
     const output = document.getElementById('valuesetOutput');
@@ -130,6 +164,28 @@ async function clearValueSets() {
     }
 }
 
+// Unload a single ValueSet and the rules it contributed
+async function unloadValueSet(id) {
+    if (!confirm(`Remove ValueSet ${id} and its rules?`)) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/ValueSet/${encodeURIComponent(id)}`, {
+            method: 'DELETE'
+        });
+
+        const outcome = await response.json();
+        if (!response.ok || outcome.issue?.[0]?.severity === 'error') {
+            throw new Error(outcome.issue?.[0]?.diagnostics || `Remove failed with status ${response.status}`);
+        }
+    } catch (error) {
+        alert(`Error removing ValueSet: ${error.message}`);
+    }
+
+    refreshStatus();
+}
+
 // Fetch Resource Bundle from URL
 async function fetchResourceFromUrl() {
     const url = document.getElementById('resourceUrl').value.trim();
@@ -288,6 +344,140 @@ async function analyzeResources() {
     }
 }
 
+// API 2: Explain Labels - Parameters report of why each label was applied
+async function explainResources() {
+    const input = document.getElementById('resourceInput').value.trim();
+    const output = document.getElementById('resourceOutput');
+    const outputTitle = document.getElementById('resourceOutputTitle');
+    
+    if (!input) {
+        output.textContent = 'Please provide a FHIR Bundle with clinical resources.';
+        output.className = 'output error';
+        return;
+    }
+    
+    try {
+        const bundle = JSON.parse(input);
+        
+        // Show loading state
+        output.textContent = 'Explaining labels...';
+        output.className = 'output';
+        outputTitle.textContent = 'Bundle Result:';
+        
+        const response = await fetch(`${API_BASE_URL}/$sls-tag?mode=explain`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(bundle)
+        });
+        
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.issue ? error.issue[0].diagnostics : 'Explain failed');
+        }
+        
+        const parameters = await response.json();
+        
+        // Show summary
+        const summary = parameters.parameter.find(p => p.name === 'summary').part;
+        const analyzed = summary.find(p => p.name === 'analyzed').valueInteger;
+        const labeled = summary.find(p => p.name === 'labeled').valueInteger;
+        const skipped = summary.find(p => p.name === 'skipped').valueInteger;
+        
+        // Store report for clipboard
+        const reportJson = JSON.stringify(parameters, null, 2);
+        output.dataset.bundleJson = reportJson;
+        
+        const summaryMsg = `✓ Explanation complete! Analyzed: ${analyzed} | Labeled: ${labeled} | Skipped: ${skipped}`;
+        output.textContent = summaryMsg + '\n\n' + reportJson;
+        output.className = 'output success';
+        outputTitle.textContent = 'Label Explanation (Parameters):';
+        
+        // Show the copy button
+        document.getElementById('copyAnalysisBtn').style.display = 'inline-block';
+        
+    } catch (error) {
+        output.textContent = `Error: ${error.message}`;
+        output.className = 'output error';
+        outputTitle.textContent = 'Bundle Result:';
+        delete output.dataset.bundleJson;
+        // Hide the copy button on error
+        document.getElementById('copyAnalysisBtn').style.display = 'none';
+    }
+}
+
+// API 2: Reconcile Labels - remove SLS-applied labels the current rules no longer support
+async function reconcileResources() {
+    const input = document.getElementById('resourceInput').value.trim();
+    const output = document.getElementById('resourceOutput');
+    const outputTitle = document.getElementById('resourceOutputTitle');
+    
+    if (!input) {
+        output.textContent = 'Please provide a FHIR Bundle with clinical resources.';
+        output.className = 'output error';
+        return;
+    }
+    
+    try {
+        const bundle = JSON.parse(input);
+        
+        // Show loading state
+        output.textContent = 'Reconciling labels...';
+        output.className = 'output';
+        outputTitle.textContent = 'Bundle Result:';
+        
+        const response = await fetch(`${API_BASE_URL}/$sls-tag?mode=reconcile`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(bundle)
+        });
+        
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.issue ? error.issue[0].diagnostics : 'Reconcile failed');
+        }
+        
+        const batchBundle = await response.json();
+        
+        // Show summary and list the removed labels so downgrades are visible
+        const summary = batchBundle.extension[0].extension;
+        const analyzed = summary.find(e => e.url === 'analyzed').valueInteger;
+        const downgraded = summary.find(e => e.url === 'downgraded').valueInteger;
+        const removedExt = batchBundle.extension.find(e => e.url === 'http://example.org/fhir/StructureDefinition/removed-labels');
+        const removals = (removedExt ? removedExt.extension : []).map(item => {
+            const reference = item.extension.find(e => e.url === 'reference').valueReference.reference;
+            const codes = item.extension.filter(e => e.url === 'removed').map(e => e.valueCoding.code);
+            return `  - ${reference}: removed ${codes.join(', ')}`;
+        });
+        
+        // Store bundle for clipboard
+        const bundleJson = JSON.stringify(batchBundle, null, 2);
+        output.dataset.bundleJson = bundleJson;
+        
+        let summaryMsg = `✓ Reconcile complete! Analyzed: ${analyzed} | Downgraded: ${downgraded}`;
+        if (removals.length > 0) {
+            summaryMsg += '\n' + removals.join('\n');
+        }
+        output.textContent = summaryMsg + '\n\n' + bundleJson;
+        output.className = 'output success';
+        outputTitle.textContent = 'Batch Bundle (reconciled labels):';
+        
+        // Show the copy button
+        document.getElementById('copyAnalysisBtn').style.display = 'inline-block';
+        
+    } catch (error) {
+        output.textContent = `Error: ${error.message}`;
+        output.className = 'output error';
+        outputTitle.textContent = 'Bundle Result:';
+        delete output.dataset.bundleJson;
+        // Hide the copy button on error
+        document.getElementById('copyAnalysisBtn').style.display = 'none';
+    }
+}
+
 // Copy Analysis Output to Clipboard
 async function copyAnalysisOutput() {
     const output = document.getElementById('resourceOutput');
@@ -346,11 +536,13 @@ async function copyAnalysisOutput() {
 async function refreshStatus() {
     const valueSetStatus = document.getElementById('valuesetStatus');
     const rulesStatus = document.getElementById('rulesStatus');
+    const policyStatus = document.getElementById('policyStatus');
     const statsStatus = document.getElementById('statsStatus');
 
     const loadingMsg = '<p class="info">Loading status...</p>';
     valueSetStatus.innerHTML = loadingMsg;
     rulesStatus.innerHTML = loadingMsg;
+    policyStatus.innerHTML = loadingMsg;
     statsStatus.innerHTML = loadingMsg;
 
     try {
@@ -369,12 +561,25 @@ async function refreshStatus() {
         } else {
             let html = `<p><strong>Total ValueSets:</strong> ${valueSets.length}</p>`;
             html += `<p><strong>Latest Date:</strong> ${status.latestDate || 'N/A'}</p>`;
-            html += '<ul>';
+            valueSetStatus.innerHTML = html;
+
+            // ValueSet ids come from the loaded resources, so they are set as text rather than markup
+            const list = document.createElement('ul');
             for (const vs of valueSets) {
-                html += `<li><strong>${vs.id}</strong> (${vs.date || 'No date'})</li>`;
+                const item = document.createElement('li');
+                const name = document.createElement('strong');
+                name.textContent = vs.id;
+                const version = vs.version ? ` v${vs.version}` : '';
+                item.append(name, `${version} (${vs.date || 'No date'}) - ${vs.ruleCount || 0} rules `);
+
+                const removeButton = document.createElement('button');
+                removeButton.className = 'secondary';
+                removeButton.textContent = 'Remove';
+                removeButton.addEventListener('click', () => unloadValueSet(vs.id));
+                item.appendChild(removeButton);
+                list.appendChild(item);
             }
-            html += '</ul>';
-            valueSetStatus.innerHTML = html;
+            valueSetStatus.appendChild(list);
         }
 
         if ((status.rulesCount || 0) === 0) {
@@ -391,6 +596,24 @@ async function refreshStatus() {
             rulesStatus.innerHTML = html;
         }
 
+        const policy = status.topicPolicy || { topics: [], default: 'R' };
+        let policyHtml = `<p><strong>Default Confidentiality:</strong> ${policy.default}</p>`;
+        policyHtml += `<p><strong>Unmatched Resources:</strong> ${policy.unmatched || 'not labeled'}</p>`;
+        if (policy.topics.length > 0) {
+            policyHtml += '<ul>';
+            for (const entry of policy.topics) {
+                policyHtml += `<li><strong>${entry.topic}</strong>: ${entry.confidentiality || policy.default}`;
+                for (const kind of ['refrain', 'obligation', 'purposeOfUse']) {
+                    if (entry[kind].length > 0) {
+                        policyHtml += `; ${kind} ${entry[kind].join(', ')}`;
+                    }
+                }
+                policyHtml += '</li>';
+            }
+            policyHtml += '</ul>';
+        }
+        policyStatus.innerHTML = policyHtml;
+
         let statsHtml = '<ul>';
         statsHtml += `<li><strong>ValueSets Processed:</strong> ${stats.totalValueSetsProcessed || 0}</li>`;
         statsHtml += `<li><strong>Resources Analyzed:</strong> ${stats.totalResourcesAnalyzed || 0}</li>`;
@@ -402,6 +625,7 @@ async function refreshStatus() {
         const errorMsg = `<p class="error">Unable to load status: ${error.message}</p>`;
         valueSetStatus.innerHTML = errorMsg;
         rulesStatus.innerHTML = errorMsg;
+        policyStatus.innerHTML = errorMsg;
         statsStatus.innerHTML = errorMsg;
     }
 }
@@ -1,9 +1,21 @@
 #!/usr/bin/env node
 /**
  * Quick integration test for hierarchical tag propagation
- * Tests Encounter→EpisodeOfCare and Encounter→Condition flows
+ * Tests Encounter→EpisodeOfCare and Encounter→Condition flows, independent of entry order,
+ * resolution of urn:uuid and contained references, R4/R5 element names, and targets
+ * missing from the Bundle (reported, or read from a FHIR server stand-in), and across NDJSON files.
+ * Also covers ValueSet loading (unload, expansion, packages), Provenance, AuditEvents, reconcile,
+ * the topic policy, write-back, Subscription notifications, $sls-scan and asynchronous jobs,
+ * with terminology and FHIR servers stood in for by local HTTP servers.
  */
 
+const { spawn } = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { PassThrough, Readable } = require('stream');
 const FHIRSecurityLabelingService = require('./backend/fhir-sls-service.js');
 
 // Create service instance
@@ -17,6 +29,18 @@ const mentalHealthValueSet = {
     version: '1.0',
     name: 'MentalHealthConditions',
     title: 'Mental Health Conditions',
+    // The sensitive topic the ValueSet's codes are labeled with
+    topic: [
+        {
+            coding: [
+                {
+                    system: 'http://terminology.hl7.org/CodeSystem/v3-ActCode',
+                    code: 'PSY',
+                    display: 'psychiatry information'
+                }
+            ]
+        }
+    ],
     expansion: {
         timestamp: new Date().toISOString(),
         contains: [
@@ -39,39 +63,21 @@ const mentalHealthValueSet = {
     }
 };
 
-// Configure sensitive topic for test
-const sensitiveTopicValueSet = {
+// An expanded ValueSet labeling SNOMED CT codes with a sensitive topic
+const createTopicValueSet = (id, codes, topicCode = 'PSY') => ({
     resourceType: 'ValueSet',
-    id: 'sensitive-topics',
-    url: 'http://example.org/ValueSet/sensitive-topics',
+    id: id,
+    url: `http://example.org/ValueSet/${id}`,
     version: '1.0',
+    topic: [{ coding: [{ system: 'http://terminology.hl7.org/CodeSystem/v3-ActCode', code: topicCode }] }],
     expansion: {
         timestamp: new Date().toISOString(),
-        contains: [
-            {
-                system: 'http://terminology.hl7.org/CodeSystem/v3-ActCode',
-                code: 'PSY',
-                display: 'psychiatry information'
-            }
-        ]
-    },
-    compose: {
-        include: [
-            {
-                system: 'http://snomed.info/sct',
-                valueset: ['http://example.org/ValueSet/mental-health']
-            }
-        ]
+        contains: codes.map(code => ({ system: 'http://snomed.info/sct', code: code }))
     }
-};
-
-// Load ValueSets
-console.log('Loading ValueSets...');
-sls.processValueSetBundle(mentalHealthValueSet);
-sls.processValueSetBundle(sensitiveTopicValueSet);
+});
 
 // Create test bundle with propagation flow
-const testBundle = {
+const createTestBundle = () => ({
     resourceType: 'Bundle',
     type: 'collection',
     entry: [
@@ -124,66 +130,1225 @@ const testBundle = {
             }
         }
     ]
-};
-
-console.log('\n=== Test Bundle ===');
-console.log('Input: Observation(obs-1) with depression → Encounter(enc-1) → EpisodeOfCare(episode-1) + Condition(condition-1)');
-
-console.log('\n=== Running analysis ===');
-const result = sls.analyzeResourceBundle(testBundle);
-
-console.log('\n=== Output ===');
-console.log(`Bundle entries: ${result.entry.length}`);
+});
 
-result.entry.forEach(entry => {
-    if (!entry.resource) return;
-    const res = entry.resource;
-    const tags = res.meta && res.meta.security 
-        ? res.meta.security.map(s => `${s.system.split('/').pop()}/${s.code}`).join(', ')
-        : 'none';
-    console.log(`  ${res.resourceType}/${res.id}: ${tags}`);
+// Condition → Encounter (via encounter) and Encounter → Condition (via diagnosis) form a reference cycle
+const createCycleBundle = () => ({
+    resourceType: 'Bundle',
+    type: 'collection',
+    entry: [
+        {
+            resource: {
+                resourceType: 'Encounter',
+                id: 'enc-2',
+                episodeOfCare: [
+                    { reference: 'EpisodeOfCare/episode-2' }
+                ],
+                diagnosis: [
+                    { condition: { reference: 'Condition/condition-2' } }
+                ]
+            }
+        },
+        {
+            resource: {
+                resourceType: 'Condition',
+                id: 'condition-2',
+                encounter: { reference: 'Encounter/enc-2' },
+                code: {
+                    coding: [
+                        {
+                            system: 'http://snomed.info/sct',
+                            code: '426000000',
+                            display: 'Depression'
+                        }
+                    ]
+                }
+            }
+        },
+        {
+            resource: {
+                resourceType: 'EpisodeOfCare',
+                id: 'episode-2'
+            }
+        }
+    ]
 });
 
-// Validate propagation
-console.log('\n=== Validation ===');
 let passed = 0;
 let failed = 0;
 
-const obsEntry = result.entry.find(e => e.resource && e.resource.resourceType === 'Observation');
-if (obsEntry && obsEntry.resource.meta && obsEntry.resource.meta.security && obsEntry.resource.meta.security.length > 1) {
-    console.log('✓ Observation tagged (expected)');
-    passed++;
-} else {
-    console.log('✗ Observation NOT properly tagged');
-    failed++;
+function check(condition, message) {
+    if (condition) {
+        console.log(`✓ ${message}`);
+        passed++;
+    } else {
+        console.log(`✗ ${message}`);
+        failed++;
+    }
+}
+
+function hasPsyLabel(resource) {
+    return Boolean(resource && resource.meta && resource.meta.security &&
+        resource.meta.security.some(s => s.code === 'PSY'));
+}
+
+function reorder(bundle, order) {
+    return { ...bundle, entry: order.map(index => bundle.entry[index]) };
+}
+
+function findResource(bundle, resourceType) {
+    const entry = bundle.entry.find(e => e.resource && e.resource.resourceType === resourceType);
+    return entry && entry.resource;
+}
+
+// Propagation sources reported by explain mode for the PSY label of a resource
+function getExplainedSources(explanation, reference) {
+    const resourcePart = explanation.parameter.find(p => p.name === 'resource' &&
+        p.part.some(part => part.name === 'reference' && part.valueReference.reference === reference));
+    const labelPart = resourcePart && resourcePart.part.find(part => part.name === 'label' &&
+        part.part.some(labelDetail => labelDetail.name === 'coding' && labelDetail.valueCoding.code === 'PSY'));
+    return labelPart
+        ? labelPart.part.filter(part => part.name === 'source').map(part => part.valueReference.reference)
+        : [];
+}
+
+function getExplainedCodes(explanation, reference) {
+    const resourcePart = explanation.parameter.find(p => p.name === 'resource' &&
+        p.part.some(part => part.name === 'reference' && part.valueReference.reference === reference));
+    return resourcePart
+        ? resourcePart.part.filter(part => part.name === 'label')
+            .map(labelPart => labelPart.part.find(part => part.name === 'coding').valueCoding.code).sort()
+        : [];
 }
 
-const encEntry = result.entry.find(e => e.resource && e.resource.resourceType === 'Encounter');
-if (encEntry && encEntry.resource.meta && encEntry.resource.meta.security && encEntry.resource.meta.security.length > 1) {
-    console.log('✓ Encounter tagged via propagation (expected)');
-    passed++;
-} else {
-    console.log('✗ Encounter NOT propagated');
-    failed++;
+// A gzipped tar archive of { name: content } files, as in a FHIR NPM package
+function createPackage(files) {
+    const blocks = [];
+    for (const [name, content] of Object.entries(files)) {
+        const data = Buffer.from(content);
+        const header = Buffer.alloc(512);
+        header.write(name, 0);
+        header.write('0000644\0', 100);
+        header.write(`${data.length.toString(8).padStart(11, '0')}\0`, 124);
+        header.write('0', 156);
+        blocks.push(header, data, Buffer.alloc((512 - data.length % 512) % 512));
+    }
+    return zlib.gzipSync(Buffer.concat([...blocks, Buffer.alloc(1024)]));
+}
+
+// An HTTP server on a free port standing in for a terminology or FHIR server; handler receives the request body
+async function startStubServer(handler) {
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => handler(req, res, body));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    server.url = `http://127.0.0.1:${server.address().port}`;
+    return server;
 }
 
-const episodeEntry = result.entry.find(e => e.resource && e.resource.resourceType === 'EpisodeOfCare');
-if (episodeEntry && episodeEntry.resource.meta && episodeEntry.resource.meta.security && episodeEntry.resource.meta.security.length > 1) {
-    console.log('✓ EpisodeOfCare tagged via hierarchical propagation (expected)');
-    passed++;
-} else {
-    console.log('✗ EpisodeOfCare NOT propagated');
-    failed++;
+// Start backend/server.js on a free port with its own database; resolves with the child process and base URL
+async function startSlsServer(env) {
+    const probe = await startStubServer(() => {});
+    const port = probe.address().port;
+    await new Promise(resolve => probe.close(resolve));
+
+    const child = spawn(process.execPath, [path.join(__dirname, 'backend', 'server.js')], {
+        env: { ...process.env, ...env, PORT: String(port) },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    child.stderr.resume();
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('server.js did not start within 10 s')), 10000);
+        let output = '';
+        child.stdout.on('data', chunk => {
+            output += chunk;
+            if (output.includes('Server:')) {
+                clearTimeout(timer);
+                resolve();
+            }
+        });
+        child.on('exit', code => {
+            clearTimeout(timer);
+            reject(new Error(`server.js exited with code ${code}`));
+        });
+    });
+    child.stdout.resume();
+    return { child, url: `http://127.0.0.1:${port}` };
 }
 
-const conditionEntry = result.entry.find(e => e.resource && e.resource.resourceType === 'Condition');
-if (conditionEntry && conditionEntry.resource.meta && conditionEntry.resource.meta.security && conditionEntry.resource.meta.security.length > 1) {
-    console.log('✓ Condition tagged via hierarchical propagation (expected)');
-    passed++;
-} else {
-    console.log('✗ Condition NOT propagated');
-    failed++;
+async function main() {
+    // Load ValueSets
+    console.log('Loading ValueSets...');
+    await sls.processValueSetBundle(mentalHealthValueSet);
+
+    console.log('\n=== Test Bundle ===');
+    console.log('Input: Observation(obs-1) with depression → Encounter(enc-1) → EpisodeOfCare(episode-1) + Condition(condition-1)');
+
+    console.log('\n=== Running analysis ===');
+    const result = sls.analyzeResourceBundle(createTestBundle());
+
+    console.log('\n=== Output ===');
+    console.log(`Bundle entries: ${result.entry.length}`);
+
+    result.entry.forEach(entry => {
+        if (!entry.resource) return;
+        const res = entry.resource;
+        const tags = res.meta && res.meta.security
+            ? res.meta.security.map(s => `${s.system.split('/').pop()}/${s.code}`).join(', ')
+            : 'none';
+        console.log(`  ${res.resourceType}/${res.id}: ${tags}`);
+    });
+
+    // Validate propagation
+    console.log('\n=== Validation ===');
+    check(hasPsyLabel(findResource(result, 'Observation')), 'Observation tagged (expected)');
+    check(hasPsyLabel(findResource(result, 'Encounter')), 'Encounter tagged via propagation (expected)');
+    check(hasPsyLabel(findResource(result, 'EpisodeOfCare')), 'EpisodeOfCare tagged via hierarchical propagation (expected)');
+    check(hasPsyLabel(findResource(result, 'Condition')), 'Condition tagged via hierarchical propagation (expected)');
+
+    // The Encounter only receives its topic from the Observation; the result must not depend on where that entry sits
+    console.log('\n=== Entry order ===');
+    const orders = {
+        'hierarchy first': [0, 1, 2, 3],
+        'observation first': [3, 2, 1, 0],
+        'encounter last': [3, 0, 1, 2]
+    };
+    const modes = {
+        batch: bundle => sls.analyzeResourceBundle(bundle),
+        full: bundle => sls.analyzeResourceBundleFull(bundle)
+    };
+    for (const [orderName, order] of Object.entries(orders)) {
+        for (const [modeName, analyze] of Object.entries(modes)) {
+            const output = analyze(reorder(createTestBundle(), order));
+            const labeledRefs = output.entry
+                .filter(e => hasPsyLabel(e.resource))
+                .map(e => `${e.resource.resourceType}/${e.resource.id}`)
+                .sort();
+            check(labeledRefs.join(',') === 'Condition/condition-1,Encounter/enc-1,EpisodeOfCare/episode-1,Observation/obs-1',
+                `${modeName} mode, ${orderName}: all four resources tagged (${labeledRefs.join(', ') || 'none'})`);
+        }
+    }
+
+    // Labels that travelled through the Encounter are attributed to the Observation they came from
+    console.log('\n=== Attribution ===');
+    const explanation = sls.explainResourceBundle(createTestBundle());
+    check(getExplainedSources(explanation, 'Encounter/enc-1').join(',') === 'Observation/obs-1',
+        'Encounter label attributed to Observation/obs-1');
+    check(getExplainedSources(explanation, 'EpisodeOfCare/episode-1').join(',') === 'Observation/obs-1',
+        'EpisodeOfCare label attributed to Observation/obs-1');
+    check(getExplainedSources(explanation, 'Condition/condition-1').join(',') === 'Observation/obs-1',
+        'Condition label attributed to Observation/obs-1');
+
+    // Explain reports every label batch mode applies, including contained resources and the policy labels
+    const createContainedObservationBundle = () => {
+        const bundle = createTestBundle();
+        const observation = findResource(bundle, 'Observation');
+        findResource(bundle, 'Encounter').contained = [{ ...observation, id: 'obs-c', encounter: undefined }];
+        return bundle;
+    };
+    const containedObservationResult = sls.analyzeResourceBundle(createContainedObservationBundle());
+    const containedObservationExplanation = sls.explainResourceBundle(createContainedObservationBundle());
+    const explainedResources = containedObservationResult.entry.filter(e => e.resource.resourceType !== 'Provenance').flatMap(e => [
+        [`${e.resource.resourceType}/${e.resource.id}`, e.resource],
+        ...(e.resource.contained || []).map(contained => [`${e.resource.resourceType}/${e.resource.id}#${contained.id}`, contained])
+    ]);
+    check(explainedResources.length === 5 && explainedResources.every(([reference, resource]) =>
+        getExplainedCodes(containedObservationExplanation, reference).join(',') === resource.meta.security.map(s => s.code).sort().join(',')),
+        'Explain lists the same labels as batch mode, including the contained Observation');
+
+    // A direct match names the element, the code and the ValueSet that contributed the rule
+    const directMatch = sls.explainResourceBundle(createTestBundle()).parameter
+        .find(p => p.name === 'resource' && p.part[0].valueReference.reference === 'Observation/obs-1').part
+        .find(part => part.name === 'label' && part.part.some(detail => detail.name === 'match')).part
+        .find(part => part.name === 'match');
+    check(['path:Observation.code.coding[0]', 'code:http://snomed.info/sct|426000000', 'valueSet:http://example.org/ValueSet/mental-health|1.0']
+        .every(expected => directMatch.part.some(part => `${part.name}:${part.valueString || part.valueCanonical}` === expected)),
+        'The Observation label names the matched element, code and ValueSet');
+
+    console.log('\n=== Reference cycle ===');
+    const cycleResult = sls.analyzeResourceBundleFull(createCycleBundle());
+    check(hasPsyLabel(findResource(cycleResult, 'Encounter')) && hasPsyLabel(findResource(cycleResult, 'EpisodeOfCare')),
+        'Propagation through a reference cycle terminates and reaches the EpisodeOfCare');
+    const cycleExplanation = sls.explainResourceBundle(createCycleBundle());
+    check(getExplainedSources(cycleExplanation, 'Condition/condition-2').length === 0,
+        'Condition label is not propagated back to the Condition it originated from');
+    check(getExplainedSources(cycleExplanation, 'EpisodeOfCare/episode-2').join(',') === 'Condition/condition-2',
+        'EpisodeOfCare label attributed to Condition/condition-2');
+
+    // Transaction entries identified by urn:uuid fullUrls, and a contained resource referenced via #id
+    console.log('\n=== Reference resolution ===');
+    const transactionBundle = createTestBundle();
+    transactionBundle.type = 'transaction';
+    for (const entry of transactionBundle.entry) {
+        entry.fullUrl = `urn:uuid:${entry.resource.id}`;
+        entry.request = { method: 'POST', url: entry.resource.resourceType };
+        delete entry.resource.id;
+    }
+    const transactionEncounter = findResource(transactionBundle, 'Encounter');
+    transactionEncounter.episodeOfCare[0].reference = 'urn:uuid:episode-1';
+    transactionEncounter.diagnosis[0].condition.reference = 'urn:uuid:condition-1';
+    findResource(transactionBundle, 'Observation').encounter.reference = 'urn:uuid:enc-1';
+    const transactionResult = sls.analyzeResourceBundleFull(transactionBundle);
+    check(transactionResult.entry.every(e => hasPsyLabel(e.resource)), 'urn:uuid references resolved through entry.fullUrl');
+
+    const containedBundle = createTestBundle();
+    const containerEncounter = findResource(containedBundle, 'Encounter');
+    containerEncounter.contained = [findResource(containedBundle, 'Condition')];
+    containerEncounter.diagnosis[0].condition.reference = '#condition-1';
+    containedBundle.entry = containedBundle.entry.filter(e => e.resource.resourceType !== 'Condition');
+    const containedResult = sls.analyzeResourceBundleFull(containedBundle);
+    check(hasPsyLabel(findResource(containedResult, 'Encounter').contained[0]), 'Contained Condition labeled via #condition-1');
+
+    // An incremental feed: the Encounter the Observation references is not in the Bundle
+    console.log('\n=== Unresolved targets ===');
+    const incrementalBundle = createTestBundle();
+    incrementalBundle.entry = incrementalBundle.entry.filter(e => e.resource.resourceType === 'Observation');
+    const unresolvedExtension = sls.analyzeResourceBundle(incrementalBundle).extension
+        .find(ext => ext.url === 'http://example.org/fhir/StructureDefinition/unresolved-propagation-targets');
+    const unresolvedTarget = unresolvedExtension && unresolvedExtension.extension[0].extension;
+    check(Boolean(unresolvedTarget) &&
+        unresolvedTarget.some(ext => ext.url === 'reference' && ext.valueReference.reference === 'Encounter/enc-1') &&
+        unresolvedTarget.some(ext => ext.url === 'topic' && ext.valueCoding.code === 'PSY'),
+        'Missing Encounter/enc-1 reported with the PSY topic it should receive');
+
+    // Several missing targets are reported once each, with every source that references them
+    const severalMissingBundle = createTestBundle();
+    const missingObservation = findResource(severalMissingBundle, 'Observation');
+    severalMissingBundle.entry = [
+        { resource: missingObservation },
+        { resource: { ...missingObservation, id: 'obs-2', reasonReference: [{ reference: 'Condition/condition-9' }] } }
+    ];
+    const severalMissing = sls.analyzeResourceBundle(severalMissingBundle).extension
+        .find(ext => ext.url === 'http://example.org/fhir/StructureDefinition/unresolved-propagation-targets').extension
+        .map(target => [
+            target.extension.find(ext => ext.url === 'reference').valueReference.reference,
+            target.extension.filter(ext => ext.url === 'source').map(ext => ext.valueReference.reference).sort().join('+')
+        ].join(' from ')).sort();
+    check(severalMissing.join(', ') === 'Condition/condition-9 from Observation/obs-2, Encounter/enc-1 from Observation/obs-1+Observation/obs-2',
+        `Each missing target is reported once with all its sources (${severalMissing.join(', ')})`);
+
+    // The missing Encounter is read from a FHIR server and returned with If-Match on its versionId
+    const fhirServer = http.createServer((req, res) => {
+        const found = req.url === '/fhir/Encounter/enc-1';
+        res.writeHead(found ? 200 : 404, { 'Content-Type': 'application/fhir+json' });
+        res.end(JSON.stringify(found
+            ? { resourceType: 'Encounter', id: 'enc-1', meta: { versionId: '4' } }
+            : { resourceType: 'OperationOutcome', issue: [{ severity: 'error', code: 'not-found' }] }));
+    });
+    await new Promise(resolve => fhirServer.listen(0, '127.0.0.1', resolve));
+    const fetchingSls = new FHIRSecurityLabelingService(':memory:', {
+        fhirServer: `http://127.0.0.1:${fhirServer.address().port}/fhir`
+    });
+    await fetchingSls.processValueSetBundle(mentalHealthValueSet);
+    const serverEntries = await fetchingSls.fetchMissingPropagationTargets(incrementalBundle);
+    const fetchedResult = fetchingSls.analyzeResourceBundle(incrementalBundle, { serverEntries });
+    fhirServer.close();
+    const encounterEntry = fetchedResult.entry.find(e => e.request.url === 'Encounter/enc-1');
+    check(Boolean(encounterEntry) && hasPsyLabel(encounterEntry.resource) && encounterEntry.request.ifMatch === 'W/"4"',
+        'Missing Encounter read from the FHIR server, labeled and updated with If-Match');
+
+    // A target the server does not have or cannot return stays unresolved, and absolute references to
+    // another origin are never read
+    const otherOriginRequests = [];
+    const otherOrigin = await startStubServer((req, res) => {
+        otherOriginRequests.push(req.url);
+        res.writeHead(200, { 'Content-Type': 'application/fhir+json' });
+        res.end(JSON.stringify({ resourceType: 'Encounter', id: 'enc-9' }));
+    });
+    const failingServer = await startStubServer((req, res) => {
+        if (req.url === '/fhir/Condition/condition-dropped') {
+            req.socket.destroy();
+            return;
+        }
+        res.writeHead(404, { 'Content-Type': 'application/fhir+json' });
+        res.end(JSON.stringify({ resourceType: 'OperationOutcome', issue: [{ severity: 'error', code: 'not-found' }] }));
+    });
+    const failingSls = new FHIRSecurityLabelingService(':memory:', { fhirServer: `${failingServer.url}/fhir` });
+    await failingSls.processValueSetBundle(mentalHealthValueSet);
+    const unreadableBundle = createTestBundle();
+    unreadableBundle.entry = [{
+        resource: {
+            ...findResource(unreadableBundle, 'Observation'),
+            encounter: { reference: `${otherOrigin.url}/fhir/Encounter/enc-9` },
+            reasonReference: [{ reference: 'Condition/condition-missing' }, { reference: 'Condition/condition-dropped' }]
+        }
+    }];
+    try {
+        const unreadEntries = await failingSls.fetchMissingPropagationTargets(unreadableBundle).catch(error => error);
+        check(Array.isArray(unreadEntries) && unreadEntries.length === 0,
+            'A 404 and a dropped connection leave the targets unread without failing');
+        const stillUnresolved = failingSls.analyzeResourceBundle(unreadableBundle, { serverEntries: unreadEntries }).extension
+            .find(ext => ext.url === 'http://example.org/fhir/StructureDefinition/unresolved-propagation-targets').extension
+            .map(target => target.extension.find(ext => ext.url === 'reference').valueReference.reference).sort();
+        check(stillUnresolved.join(',') === `Condition/condition-dropped,Condition/condition-missing,${otherOrigin.url}/fhir/Encounter/enc-9`,
+            `The unread targets are still reported as unresolved (${stillUnresolved.join(', ')})`);
+        check(otherOriginRequests.length === 0, 'A reference to another origin is not read from that server');
+    } finally {
+        otherOrigin.close();
+        failingServer.close();
+    }
+
+    // Bulk Data NDJSON: one stream per resource type, the Observation's file first
+    console.log('\n=== NDJSON ===');
+    const analyzeNdjsonLines = async streams => {
+        const output = new PassThrough();
+        const lines = [];
+        output.on('data', chunk => lines.push(chunk.toString()));
+        await sls.analyzeNdjson(streams.map(stream => Readable.from(stream.map(line => `${line}\n`))), output);
+        return lines.join('').split('\n').filter(Boolean).map(line => JSON.parse(line));
+    };
+    const ndjsonResources = await analyzeNdjsonLines(['Observation', 'Encounter', 'EpisodeOfCare', 'Condition'].map(resourceType =>
+        createTestBundle().entry.filter(e => e.resource.resourceType === resourceType).map(e => JSON.stringify(e.resource))));
+    check(ndjsonResources.length === 4 && ndjsonResources.every(hasPsyLabel),
+        'Labels propagate across NDJSON files to the Encounter, EpisodeOfCare and Condition');
+
+    // A later line replaces an earlier version of the same resource, also for propagation
+    const ndjsonEncounter = findResource(createTestBundle(), 'Encounter');
+    const ndjsonUpdatedResources = await analyzeNdjsonLines([
+        createTestBundle().entry.map(e => JSON.stringify(e.resource)),
+        [JSON.stringify({ ...ndjsonEncounter, status: 'finished', episodeOfCare: undefined })]
+    ]);
+    const findUpdated = resourceType => ndjsonUpdatedResources.filter(resource => resource.resourceType === resourceType);
+    check(ndjsonUpdatedResources.length === 4 && findUpdated('Encounter').length === 1 && findUpdated('Encounter')[0].status === 'finished' &&
+        hasPsyLabel(findUpdated('Encounter')[0]) && hasPsyLabel(findUpdated('Condition')[0]) && !hasPsyLabel(findUpdated('EpisodeOfCare')[0]),
+        'A resource repeated in a later NDJSON file is labeled and propagated in its last version');
+
+    // Lines without an id are labeled, but are no propagation targets
+    const ndjsonObservation = findResource(createTestBundle(), 'Observation');
+    const idlessResources = await analyzeNdjsonLines([[JSON.stringify({ ...ndjsonObservation, id: undefined, encounter: undefined })]]);
+    check(idlessResources.length === 1 && idlessResources[0].id === undefined && hasPsyLabel(idlessResources[0]),
+        'An NDJSON resource without an id is labeled');
+
+    // A contained Observation labels its Encounter, which labels the Condition it contains through #<id>
+    const containingEncounter = {
+        ...ndjsonEncounter,
+        contained: [{ ...ndjsonObservation, id: 'obs-c', encounter: undefined }, { resourceType: 'Condition', id: 'condition-c' }],
+        diagnosis: [{ condition: { reference: '#condition-c' } }]
+    };
+    const containedResources = await analyzeNdjsonLines([[JSON.stringify(containingEncounter)], [JSON.stringify(findResource(createTestBundle(), 'EpisodeOfCare'))]]);
+    const labeledContainer = containedResources.find(resource => resource.resourceType === 'Encounter');
+    check(containedResources.length === 2 && containedResources.every(hasPsyLabel) &&
+        hasPsyLabel(labeledContainer.contained.find(resource => resource.id === 'condition-c')),
+        'Labels propagate from a contained NDJSON resource to its container, the EpisodeOfCare and a contained Condition');
+
+    const invalidLineError = await analyzeNdjsonLines([[JSON.stringify(ndjsonObservation), '{"resourceType": "Observation",']])
+        .then(() => null, error => error);
+    check(Boolean(invalidLineError) && invalidLineError.message.startsWith('Invalid NDJSON in input 1 at line 2:'),
+        'An NDJSON line that is not JSON fails the run with its input and line number');
+
+    // Split mid-entry, so entries span chunks
+    console.log('\n=== Streamed Bundle ===');
+    const bundleJson = JSON.stringify(createTestBundle());
+    const bundleOutput = new PassThrough();
+    const bundleChunks = [];
+    bundleOutput.on('data', chunk => bundleChunks.push(chunk.toString()));
+    await sls.analyzeBundleStream(Readable.from([bundleJson.slice(0, 100), bundleJson.slice(100)]), bundleOutput, { mode: 'full' });
+    const streamedBundle = JSON.parse(bundleChunks.join(''));
+    check(streamedBundle.entry.length === 4 && streamedBundle.entry.every(e => hasPsyLabel(e.resource)),
+        'Labels propagate through a streamed Bundle to the Encounter, EpisodeOfCare and Condition');
+
+    const streamBundle = async (chunks, service = sls) => {
+        const output = new PassThrough();
+        const outputChunks = [];
+        output.on('data', chunk => outputChunks.push(chunk.toString()));
+        await service.analyzeBundleStream(Readable.from(chunks), output, { mode: 'full' });
+        return JSON.parse(outputChunks.join(''));
+    };
+    const streamError = (chunks, service) => streamBundle(chunks, service).then(() => null, error => error);
+
+    // Brackets and escaped quotes within strings, and a multibyte character split between chunks
+    const noteText = 'Says "}]," and \\"{[" – feels ☁';
+    const textBundle = createTestBundle();
+    textBundle.id = '{"entry": [';
+    findResource(textBundle, 'Observation').note = [{ text: noteText }];
+    const textBuffer = Buffer.from(JSON.stringify(textBundle));
+    const splitAt = textBuffer.indexOf(Buffer.from('☁')) + 1;
+    const textResult = await streamBundle([textBuffer.subarray(0, splitAt), textBuffer.subarray(splitAt)]);
+    check(textResult.id === textBundle.id && findResource(textResult, 'Observation').note[0].text === noteText &&
+        textResult.entry.length === 4 && textResult.entry.every(e => hasPsyLabel(e.resource)),
+        'Strings with brackets, escaped quotes and a multibyte character split between chunks are read intact');
+
+    const truncatedError = await streamError([bundleJson.slice(0, bundleJson.length - 10)]);
+    check(Boolean(truncatedError) && truncatedError.message === 'Invalid Bundle JSON: unexpected end of input',
+        'A truncated streamed Bundle is rejected');
+
+    const cappedStreamSls = new FHIRSecurityLabelingService(':memory:', { maxBundleEntries: 3 });
+    await cappedStreamSls.processValueSetBundle(mentalHealthValueSet);
+    const entriesError = await streamError([bundleJson], cappedStreamSls);
+    check(Boolean(entriesError) && entriesError.code === 'too-costly' && entriesError.message === 'Bundle has more than 3 entries',
+        'A streamed Bundle with more than maxBundleEntries entries is rejected as too costly');
+    cappedStreamSls.close();
+
+    console.log('\n=== Patch mode ===');
+    const patchResult = sls.analyzeResourceBundlePatch(createTestBundle());
+    const episodePatch = patchResult.entry.find(e => e.request.url === 'EpisodeOfCare/episode-1');
+    check(episodePatch && episodePatch.request.method === 'PATCH' && episodePatch.resource.parameter.some(operation =>
+        operation.part.some(part => part.valueString === 'security') && operation.part.some(part => part.valueCoding && part.valueCoding.code === 'PSY')),
+        'Patch mode adds the propagated label to the EpisodeOfCare');
+
+    // R4 reasonReference and R5 reason (CodeableReference) both reach the Condition
+    console.log('\n=== FHIR versions ===');
+    const createReasonBundle = reason => ({
+        resourceType: 'Bundle',
+        type: 'collection',
+        entry: [
+            { resource: { resourceType: 'Condition', id: 'condition-3' } },
+            { resource: { ...findResource(createTestBundle(), 'Observation'), id: 'obs-3', encounter: undefined, ...reason } }
+        ]
+    });
+    const r4Result = sls.analyzeResourceBundleFull(createReasonBundle({ reasonReference: [{ reference: 'Condition/condition-3' }] }));
+    check(hasPsyLabel(findResource(r4Result, 'Condition')), 'R4 Observation.reasonReference propagates to the Condition');
+    const r5Result = sls.analyzeResourceBundleFull(createReasonBundle({ reason: [{ reference: { reference: 'Condition/condition-3' } }] }));
+    check(hasPsyLabel(findResource(r5Result, 'Condition')), 'R5 Observation.reason propagates to the Condition');
+    const r4AsR5Result = sls.analyzeResourceBundleFull(
+        createReasonBundle({ reasonReference: [{ reference: 'Condition/condition-3' }] }), { fhirVersion: 'R5' });
+    check(!hasPsyLabel(findResource(r4AsR5Result, 'Condition')), 'Requested fhirVersion R5 ignores R4 reasonReference');
+
+    // R4B uses the R4 element names; a version number selects the release
+    const reportedVersion = bundle => bundle.extension[0].extension.find(ext => ext.url === 'fhirVersion').valueCode;
+    const r4bResult = sls.analyzeResourceBundleFull(
+        createReasonBundle({ reasonReference: [{ reference: 'Condition/condition-3' }] }), { fhirVersion: '4.3.0' });
+    const r5AsR4bResult = sls.analyzeResourceBundleFull(
+        createReasonBundle({ reason: [{ reference: { reference: 'Condition/condition-3' } }] }), { fhirVersion: 'R4B' });
+    check(reportedVersion(r4bResult) === 'R4B' && hasPsyLabel(findResource(r4bResult, 'Condition')) &&
+        reportedVersion(r5AsR4bResult) === 'R4B' && !hasPsyLabel(findResource(r5AsR4bResult, 'Condition')),
+        'fhirVersion 4.3.0 is analyzed as R4B: reasonReference propagates, the R5 reason does not');
+    let unsupportedVersionError = null;
+    try {
+        sls.analyzeResourceBundleFull(createReasonBundle({}), { fhirVersion: 'R6' });
+    } catch (error) {
+        unsupportedVersionError = error;
+    }
+    check(unsupportedVersionError && unsupportedVersionError.message === "Unsupported fhirVersion 'R6': expected R4, R4B or R5 (4.0, 4.3 or 5.0)",
+        'An unsupported fhirVersion is rejected');
+
+    // A code both ValueSets list keeps its rule until the last of them is unloaded
+    console.log('\n=== Unloading a ValueSet ===');
+    const unloadSls = new FHIRSecurityLabelingService(':memory:');
+    await unloadSls.processValueSetBundle(mentalHealthValueSet);
+    await unloadSls.processValueSetBundle(createTopicValueSet('behavioral-health', ['426000000', '35489007']));
+    await unloadSls.processValueSetBundle(createTopicValueSet('substance-use', ['66214007'], 'SUD'));
+    const isObservationLabeled = () => hasPsyLabel(findResource(unloadSls.analyzeResourceBundleFull(createTestBundle()), 'Observation'));
+    check(unloadSls.unloadValueSet('mental-health') && isObservationLabeled(),
+        'Unloading mental-health keeps the rule behavioral-health also contributed');
+    check(unloadSls.unloadValueSet('behavioral-health') && !isObservationLabeled() && unloadSls.getStoredValueSets().length === 1,
+        'Unloading behavioral-health removes its rules');
+    check(!unloadSls.unloadValueSet('behavioral-health'), 'Unloading a ValueSet that is not loaded returns false');
+    unloadSls.close();
+
+    // A newer version of a canonical ValueSet replaces the loaded one; an older one is refused
+    console.log('\n=== ValueSet versions ===');
+    const versionSls = new FHIRSecurityLabelingService(':memory:');
+    const createVersion = (id, version, codes, date) => ({
+        ...createTopicValueSet(id, codes), url: 'http://example.org/ValueSet/mental-health', version: version, date: date
+    });
+    const storedVersions = () => versionSls.getStoredValueSets().map(vs => `${vs.id}@${vs.version}`).sort().join(',');
+    const labelsCode = code => hasPsyLabel(findResource(versionSls.analyzeResourceBundleFull({
+        resourceType: 'Bundle', type: 'collection', entry: [{ resource: { resourceType: 'Observation', id: 'obs-v', code: { coding: [{ system: 'http://snomed.info/sct', code }] } } }]
+    }), 'Observation'));
+    await versionSls.processValueSetBundle(createVersion('mh-1', '1.9', ['426000000']));
+    const upgradeOutcome = await versionSls.processValueSetBundle(createVersion('mh-2', '1.10', ['35489007']));
+    check(upgradeOutcome.issue[0].severity === 'success' && storedVersions() === 'mh-2@1.10' && labelsCode('35489007') && !labelsCode('426000000'),
+        'Version 1.10 replaces version 1.9 of the same url');
+    const downgradeOutcome = await versionSls.processValueSetBundle(createVersion('mh-1', '1.9', ['426000000']));
+    check(downgradeOutcome.issue[0].severity === 'error' &&
+        downgradeOutcome.issue[1].diagnostics.includes('version 1.9 of http://example.org/ValueSet/mental-health is older than version 1.10 (ValueSet mh-2)') &&
+        storedVersions() === 'mh-2@1.10' && labelsCode('35489007') && !labelsCode('426000000'),
+        'Loading version 1.9 over version 1.10 is refused and keeps the loaded rules');
+
+    // Versions that are not numbers are ordered by date, also within one Bundle
+    const datedOutcome = await versionSls.processValueSetBundle({
+        resourceType: 'Bundle',
+        type: 'collection',
+        entry: [
+            { resource: createVersion('mh-draft-b', 'draft-b', ['66214007'], '2025-06-01') },
+            { resource: createVersion('mh-draft-a', 'draft-a', ['426000000'], '2024-01-01') }
+        ]
+    });
+    check(datedOutcome.issue[0].severity === 'success' && storedVersions() === 'mh-draft-b@draft-b' &&
+        datedOutcome.issue.some(issue => issue.severity === 'warning' && issue.diagnostics.startsWith('ValueSet mh-draft-a not loaded: version draft-a (2024-01-01) of http://example.org/ValueSet/mental-health is older than version draft-b (2025-06-01)')),
+        'A dated version older than one earlier in the same Bundle is refused with a warning');
+    versionSls.close();
+
+    console.log('\n=== Provenance ===');
+    const provenanceResult = sls.analyzeResourceBundle(createTestBundle(), { provenance: 'resource' });
+    const provenances = provenanceResult.entry.filter(e => e.resource.resourceType === 'Provenance');
+    check(provenances.length === 4 && provenances.every(e => e.request.method === 'POST' && e.fullUrl === `urn:uuid:${e.resource.id}` &&
+        e.resource.policy.includes('http://example.org/ValueSet/mental-health|1.0')) &&
+        provenances.map(e => e.resource.target[0].reference).sort().join(',') ===
+            'Condition/condition-1,Encounter/enc-1,EpisodeOfCare/episode-1,Observation/obs-1',
+        'provenance=resource adds one Provenance per labeled resource, citing the mental-health ValueSet');
+    const runProvenances = sls.analyzeResourceBundle(createTestBundle(), { provenance: 'run' }).entry
+        .filter(e => e.resource.resourceType === 'Provenance');
+    check(runProvenances.length === 1 && runProvenances[0].resource.target.length === 4,
+        'provenance=run adds a single Provenance targeting all labeled resources');
+    check(!sls.analyzeResourceBundle(createTestBundle()).entry.some(e => e.resource.resourceType === 'Provenance'),
+        'No Provenance without the provenance option');
+
+    console.log('\n=== AuditEvent search ===');
+    const auditSls = new FHIRSecurityLabelingService(':memory:');
+    auditSls.recordAuditEvent({ operation: 'sls-tag', statusCode: 200, result: sls.analyzeResourceBundle(createTestBundle()) });
+    auditSls.recordAuditEvent({ operation: 'sls-load-valuesets', statusCode: 400, result: auditSls.createOperationOutcome('error', 'Invalid ValueSet') });
+    auditSls.recordAuditEvent({ operation: 'sls-tag', statusCode: 500 });
+    const auditSearch = params => auditSls.searchAuditEvents(params);
+    const taggingEvents = auditSearch({ subtype: 'http://example.org/fhir/CodeSystem/sls-operation|sls-tag' });
+    check(taggingEvents.total === 2 && taggingEvents.entry.every(e => e.resource.subtype[0].code === 'sls-tag'),
+        'subtype filter returns the $sls-tag AuditEvents');
+    check(taggingEvents.entry.some(e => e.resource.entity && e.resource.entity[0].detail.some(d => d.type === 'analyzed' && d.valueString === '4')),
+        'The $sls-tag AuditEvent records the number of analyzed resources');
+    const failedEvents = auditSearch({ outcome: '4,8' });
+    check(failedEvents.total === 2 && failedEvents.entry.some(e => e.resource.outcomeDesc === 'Invalid ValueSet'),
+        'outcome filter returns the failed operations with their diagnostics');
+    const today = new Date().toISOString().slice(0, 10);
+    check(auditSearch({ date: today }).total === 3 && auditSearch({ date: ['ge2000', 'lt2000-01-02'] }).total === 0 &&
+        auditSearch({ date: `gt${today}` }).total === 0, 'date filter with eq, ge, lt and gt prefixes');
+    const pagedEvents = auditSearch({ type: 'rest', _count: '1' });
+    check(pagedEvents.total === 3 && pagedEvents.entry.length === 1, '_count limits the entries but not the total');
+    let invalidDateError = null;
+    try {
+        auditSearch({ date: 'yesterday' });
+    } catch (error) {
+        invalidDateError = error;
+    }
+    check(invalidDateError && invalidDateError.message === 'Invalid date parameter: yesterday', 'An invalid date parameter is rejected');
+    auditSls.close();
+
+    // ValueSets defined by a filter are expanded by the terminology server once and then read from the cache
+    console.log('\n=== Terminology server ===');
+    const expandRequests = [];
+    const txServer = await startStubServer((req, res, body) => {
+        expandRequests.push({ url: req.url, parameters: JSON.parse(body) });
+        const valueSet = JSON.parse(body).parameter.find(p => p.name === 'valueSet').resource;
+        res.writeHead(200, { 'Content-Type': 'application/fhir+json' });
+        res.end(JSON.stringify({ resourceType: 'Parameters', parameter: [{ name: 'return', resource: {
+            ...valueSet,
+            expansion: { total: 1, contains: [{ system: 'http://snomed.info/sct', code: '426000000' }] }
+        } }] }));
+    });
+    const txSls = new FHIRSecurityLabelingService(':memory:', { terminologyServer: `${txServer.url}/r4/` });
+    const createFilterValueSet = value => ({
+        ...createTopicValueSet('depressive-disorders', []),
+        expansion: undefined,
+        compose: { include: [{ system: 'http://snomed.info/sct', filter: [{ property: 'concept', op: 'is-a', value: value }] }] }
+    });
+    await txSls.processValueSetBundle(createFilterValueSet('35489007'));
+    await txSls.processValueSetBundle(createFilterValueSet('35489007'));
+    check(expandRequests.length === 1 && expandRequests[0].url === '/r4/ValueSet/$expand' &&
+        hasPsyLabel(findResource(txSls.analyzeResourceBundleFull(createTestBundle()), 'Observation')),
+        'Filter ValueSet expanded by the configured terminology server once, then taken from the cache');
+    await txSls.processValueSetBundle(createFilterValueSet('74732009'));
+    check(expandRequests.length === 2, 'A changed compose definition is expanded again');
+    const cacheDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'sls-expansion-cache-'));
+    for (const base of ['r4', 'r4', 'r4b']) {
+        const cacheSls = new FHIRSecurityLabelingService(path.join(cacheDirectory, 'sls.db'), { terminologyServer: `${txServer.url}/${base}` });
+        await cacheSls.processValueSetBundle(createFilterValueSet('35489007'));
+        cacheSls.close();
+    }
+    check(expandRequests.length === 4 && expandRequests[3].url === '/r4b/ValueSet/$expand',
+        'A cached expansion survives a restart but is not reused for another terminology server');
+    fs.rmSync(cacheDirectory, { recursive: true });
+    txServer.close();
+    txSls.close();
+
+    // Enumerated compose definitions and imports of ValueSets in the same load need no terminology server
+    console.log('\n=== Local expansion ===');
+    const localSls = new FHIRSecurityLabelingService(':memory:', { terminologyServer: 'http://127.0.0.1:9' });
+    const composedValueSet = {
+        ...createTopicValueSet('mood-disorders', []),
+        expansion: undefined,
+        compose: {
+            include: [{ system: 'http://snomed.info/sct', concept: [{ code: '426000000' }, { code: '35489007' }, { code: '74732009' }] }],
+            exclude: [{ system: 'http://snomed.info/sct', concept: [{ code: '74732009' }] }]
+        }
+    };
+    const importingValueSet = {
+        ...createTopicValueSet('mood-disorders-sud', [], 'SUD'),
+        expansion: undefined,
+        compose: { include: [{ valueSet: ['http://example.org/ValueSet/mood-disorders|1.0'] }] }
+    };
+    const localOutcome = await localSls.processValueSetBundle({
+        resourceType: 'Bundle',
+        type: 'collection',
+        entry: [{ resource: composedValueSet }, { resource: importingValueSet }]
+    });
+    const localExpansions = Object.fromEntries(localSls.getStoredValueSets().map(vs => [vs.id, vs.expansion]));
+    check(localOutcome.issue[0].severity === 'success' && ['mood-disorders', 'mood-disorders-sud'].every(id =>
+        localExpansions[id].parameter[0].valueString === 'local' &&
+        localExpansions[id].contains.map(c => c.code).sort().join(',') === '35489007,426000000'),
+        'Enumerated compose with an exclude and an import of it expanded locally');
+    const localLabels = findResource(localSls.analyzeResourceBundleFull(createTestBundle()), 'Observation').meta.security.map(s => s.code);
+    check(localLabels.includes('PSY') && localLabels.includes('SUD'), 'Locally expanded ValueSets label the Observation');
+    localSls.close();
+
+    // Paged $expand: offset and total count every contains entry, abstract and duplicate ones included
+    console.log('\n=== Paged expansion ===');
+    const pagedContains = [
+        { system: 'http://snomed.info/sct', code: '394924000', abstract: true },
+        { system: 'http://snomed.info/sct', code: '426000000' },
+        { system: 'http://snomed.info/sct', code: '35489007' },
+        { system: 'http://snomed.info/sct', code: '426000000' },
+        { system: 'http://snomed.info/sct', code: '74732009' }
+    ];
+    const requestedOffsets = [];
+    const pagingServer = await startStubServer((req, res, body) => {
+        const parameters = JSON.parse(body).parameter;
+        const offset = parameters.find(p => p.name === 'offset').valueInteger;
+        const count = parameters.find(p => p.name === 'count').valueInteger;
+        requestedOffsets.push(offset);
+        res.writeHead(200, { 'Content-Type': 'application/fhir+json' });
+        res.end(JSON.stringify({
+            ...parameters.find(p => p.name === 'valueSet').resource,
+            expansion: { total: pagedContains.length, offset: offset, contains: pagedContains.slice(offset, offset + count) }
+        }));
+    });
+    const pagingSls = new FHIRSecurityLabelingService(':memory:', { terminologyServer: pagingServer.url, expansionPageSize: 2 });
+    const pagedOutcome = await pagingSls.processValueSetBundle({
+        ...createTopicValueSet('paged-mood-disorders', []),
+        expansion: undefined,
+        compose: { include: [{ system: 'http://snomed.info/sct', filter: [{ property: 'concept', op: 'is-a', value: '394924000' }] }] }
+    });
+    pagingServer.close();
+    check(requestedOffsets.join(',') === '0,2,4' && pagedOutcome.issue[0].severity === 'success' &&
+        pagingSls.getStoredValueSets()[0].expansion.contains.length === 5,
+        `Pages requested at offsets 0, 2 and 4 and the expansion is complete (offsets ${requestedOffsets.join(', ')})`);
+    pagingSls.close();
+
+    // A server that stops paging leaves the expansion incomplete: the ValueSet is not loaded, with a warning
+    const truncatingServer = await startStubServer((req, res, body) => {
+        const parameters = JSON.parse(body).parameter;
+        res.writeHead(200, { 'Content-Type': 'application/fhir+json' });
+        res.end(JSON.stringify({
+            ...parameters.find(p => p.name === 'valueSet').resource,
+            expansion: { total: pagedContains.length, offset: 0, contains: pagedContains.slice(0, 2) }
+        }));
+    });
+    const truncatingSls = new FHIRSecurityLabelingService(':memory:', { terminologyServer: truncatingServer.url, expansionPageSize: 2 });
+    const createTruncatedValueSet = id => ({
+        ...createTopicValueSet(id, []),
+        expansion: undefined,
+        compose: { include: [{ system: 'http://snomed.info/sct', filter: [{ property: 'concept', op: 'is-a', value: '394924000' }] }] }
+    });
+    const truncatedOutcome = await truncatingSls.processValueSetBundle(createTruncatedValueSet('truncated-mood-disorders'));
+    const truncatedBundleOutcome = await truncatingSls.processValueSetBundle({
+        resourceType: 'Bundle', type: 'collection', entry: [{ resource: createTruncatedValueSet('truncated-in-bundle') }, { resource: mentalHealthValueSet }]
+    });
+    truncatingServer.close();
+    check(truncatedOutcome.issue.every(issue => issue.severity === 'warning') &&
+        truncatedOutcome.issue[1].diagnostics === 'ValueSet truncated-mood-disorders expansion is incomplete: retrieved 2 of 5 codes',
+        'An incomplete expansion of a single ValueSet is reported as a warning, not an error');
+    check(truncatedBundleOutcome.issue[0].severity === 'success' &&
+        truncatedBundleOutcome.issue.some(issue => issue.severity === 'warning' && issue.diagnostics.includes('truncated-in-bundle expansion is incomplete')) &&
+        truncatingSls.getStoredValueSets().map(vs => vs.id).join(',') === 'mental-health',
+        'An incomplete expansion in a Bundle skips that ValueSet with a warning and loads the others');
+    truncatingSls.close();
+
+    console.log('\n=== Package load ===');
+    const packageSls = new FHIRSecurityLabelingService(':memory:', { terminologyServer: 'http://127.0.0.1:9' });
+    const packageOutcome = await packageSls.processPackage(createPackage({
+        'package/package.json': JSON.stringify({ name: 'example.sensitive.topics', version: '1.0.0' }),
+        'package/ValueSet-mood-disorders-sud.json': JSON.stringify({
+            ...createTopicValueSet('mood-disorders-sud', [], 'SUD'),
+            expansion: undefined,
+            compose: { include: [{ valueSet: ['http://example.org/ValueSet/mood-disorders'] }] }
+        }),
+        'package/ValueSet-mood-disorders.json': JSON.stringify(createTopicValueSet('mood-disorders', ['426000000'])),
+        'package/ValueSet-administrative.json': JSON.stringify({ ...createTopicValueSet('administrative', ['394924000']), topic: undefined }),
+        'package/broken.json': '{ "resourceType": '
+    }));
+    const packageIssue = fileName => packageOutcome.issue.find(issue => issue.location && issue.location[0] === `package/${fileName}`);
+    check(packageOutcome.issue[0].diagnostics === 'Loaded 2 of 2 sensitive-topic ValueSet(s) from package example.sensitive.topics#1.0.0',
+        'Both sensitive-topic ValueSets loaded, the importing one after the one it imports');
+    check(packageIssue('ValueSet-administrative.json').severity === 'information' && packageIssue('broken.json').severity === 'warning',
+        'ValueSet without topic and invalid JSON file reported per file');
+    const packageLabels = findResource(packageSls.analyzeResourceBundleFull(createTestBundle()), 'Observation').meta.security.map(s => s.code);
+    check(packageLabels.includes('PSY') && packageLabels.includes('SUD'), 'ValueSets from the package label the Observation');
+    const invalidPackage = await packageSls.processPackage(Buffer.from('not a package'));
+    check(invalidPackage.issue[0].severity === 'error' && invalidPackage.issue[0].diagnostics.startsWith('Invalid package:'),
+        'An archive without files is rejected');
+    packageSls.close();
+
+    // The mental-health ValueSet drops the Observation's code: its PSY labels go, the human-applied label stays
+    console.log('\n=== Reconcile ===');
+    const reconcileSls = new FHIRSecurityLabelingService(':memory:');
+    await reconcileSls.processValueSetBundle(mentalHealthValueSet);
+    const labeledBundle = reconcileSls.analyzeResourceBundleFull(createTestBundle());
+    const humanLabel = { system: 'http://terminology.hl7.org/CodeSystem/v3-ActCode', code: 'ETH' };
+    findResource(labeledBundle, 'Condition').meta.security.push(humanLabel);
+    await reconcileSls.processValueSetBundle(createTopicValueSet('mental-health', ['35489007']));
+    const reconciled = reconcileSls.reconcileResourceBundle(labeledBundle);
+    const reconciledCondition = reconciled.entry.find(e => e.request.url === 'Condition/condition-1').resource;
+    check(reconciled.entry.length === 4 && reconciled.entry.every(e => !hasPsyLabel(e.resource)),
+        'PSY labels no longer backed by a rule are removed from all four resources');
+    check(reconciledCondition.meta.security.some(s => s.code === 'ETH'), 'The human-applied ETH label is kept');
+    const reconcileSummary = reconciled.extension.find(ext => ext.url === 'http://example.org/fhir/StructureDefinition/processing-summary');
+    const removedLabels = reconciled.extension.find(ext => ext.url === 'http://example.org/fhir/StructureDefinition/removed-labels');
+    const observationRemovals = removedLabels && removedLabels.extension.find(resource =>
+        resource.extension[0].valueReference.reference === 'Observation/obs-1');
+    check(reconcileSummary.extension.some(ext => ext.url === 'downgraded' && ext.valueInteger === 4) &&
+        Boolean(observationRemovals) && observationRemovals.extension.some(ext => ext.url === 'removed' && ext.valueCoding.code === 'PSY'),
+        'downgraded and the removed-labels extension report the removals');
+    reconcileSls.close();
+
+    console.log('\n=== Label markers ===');
+    const markerBundle = createTestBundle();
+    findResource(markerBundle, 'Observation').meta.security = [{ system: 'http://terminology.hl7.org/CodeSystem/v3-ActCode', code: 'ETH' }];
+    const markedLabels = findResource(sls.analyzeResourceBundleFull(markerBundle), 'Observation').meta.security;
+    const markedPsy = markedLabels.find(s => s.code === 'PSY');
+    check(sls.isSlsMarkedLabel(markedPsy) && markedPsy.extension.some(ext => ext.valueRelatedArtifact &&
+        ext.valueRelatedArtifact.type === 'derived-from' && ext.valueRelatedArtifact.resource === 'http://example.org/ValueSet/mental-health|1.0'),
+        'The PSY label carries the SLS classifier and the ValueSet it derives from');
+    check(sls.isSlsMarkedLabel(markedLabels.find(s => s.code === 'R')) && !sls.isSlsMarkedLabel(markedLabels.find(s => s.code === 'ETH')),
+        'The confidentiality code is marked, the pre-existing ETH label is not');
+
+    // The confidentiality code is the high-water mark of the levels of the resource's topics
+    console.log('\n=== Confidentiality policy ===');
+    const policySls = new FHIRSecurityLabelingService(':memory:');
+    await policySls.processValueSetBundle(mentalHealthValueSet);
+    await policySls.processValueSetBundle(createTopicValueSet('substance-use', ['66214007'], 'SUD'));
+    await policySls.processValueSetBundle(createTopicValueSet('hiv', ['86406008'], 'HIV'));
+    const topicPolicy = (code, level) => ({ name: 'topic', part: [
+        { name: 'code', valueCoding: { system: 'http://terminology.hl7.org/CodeSystem/v3-ActCode', code: code } },
+        { name: 'confidentiality', valueCode: level }
+    ] });
+    policySls.loadTopicPolicy({ resourceType: 'Parameters', parameter: [
+        topicPolicy('PSY', 'M'), topicPolicy('SUD', 'V'), { name: 'default', valueCode: 'N' }, { name: 'unmatched', valueCode: 'L' }
+    ] });
+    const coded = (resourceType, id, codes) => ({ resource: { resourceType, id, code: { coding: codes.map(code => ({ system: 'http://snomed.info/sct', code })) } } });
+    const policyResult = policySls.analyzeResourceBundleFull({ resourceType: 'Bundle', type: 'collection', entry: [
+        coded('Observation', 'obs-psy', ['426000000']),
+        coded('Observation', 'obs-psy-sud', ['426000000', '66214007']),
+        coded('Condition', 'condition-hiv', ['86406008']),
+        coded('Procedure', 'procedure-1', ['80146002'])
+    ] });
+    const confidentiality = policyResult.entry.map(e => `${e.resource.id}:${e.resource.meta.security
+        .filter(s => s.system === 'http://terminology.hl7.org/CodeSystem/v3-Confidentiality').map(s => s.code).join('+')}`);
+    check(confidentiality.join(',') === 'obs-psy:M,obs-psy-sud:V,condition-hiv:N,procedure-1:L',
+        `Per-topic level, high-water mark, default and unmatched level (${confidentiality.join(', ')})`);
+    let invalidPolicyError = null;
+    try {
+        policySls.loadTopicPolicy({ resourceType: 'Parameters', parameter: [topicPolicy('PSY', 'X')] });
+    } catch (error) {
+        invalidPolicyError = error;
+    }
+    check(invalidPolicyError && invalidPolicyError.message.includes("'confidentiality' must be one of U, L, M, N, R, V"),
+        'A policy with an unknown confidentiality code is rejected');
+    policySls.close();
+
+    // Handling caveats of a topic are added next to its label and are not mistaken for topics
+    console.log('\n=== Handling caveats ===');
+    const caveatSls = new FHIRSecurityLabelingService(':memory:');
+    await caveatSls.processValueSetBundle(mentalHealthValueSet);
+    caveatSls.loadTopicPolicy({ resourceType: 'Parameters', parameter: [{ name: 'topic', part: [
+        { name: 'code', valueCoding: { system: 'http://terminology.hl7.org/CodeSystem/v3-ActCode', code: 'PSY' } },
+        { name: 'refrain', valueCoding: { system: 'http://terminology.hl7.org/CodeSystem/v3-ActCode', code: 'NORDSCLCD' } },
+        { name: 'obligation', valueCoding: { system: 'http://terminology.hl7.org/CodeSystem/v3-ActCode', code: 'ENCRYPT' } }
+    ] }] });
+    const caveatResult = caveatSls.analyzeResourceBundle(createTestBundle());
+    const caveatEncounter = findResource(caveatResult, 'Encounter');
+    check(['NORDSCLCD', 'ENCRYPT'].every(code => caveatSls.isSlsMarkedLabel(caveatEncounter.meta.security.find(s => s.code === code))) &&
+        caveatSls.getTopicLabelKeys(caveatEncounter).join(',') === 'http://terminology.hl7.org/CodeSystem/v3-ActCode|PSY',
+        'The propagated PSY label brings its refrain and obligation codes, which are not topics');
+    check(['NORDSCLCD', 'ENCRYPT'].every(code => caveatResult.meta.security.some(s => s.code === code)),
+        'Bundle.meta.security summarizes the handling caveats');
+    caveatSls.close();
+
+    // Propagation follows the configured rules only, including their direction and topic restrictions
+    console.log('\n=== Propagation config ===');
+    const configDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'sls-propagation-'));
+    const configPath = path.join(configDirectory, 'propagation-config.json');
+    fs.writeFileSync(configPath, JSON.stringify({ rules: [
+        { source: 'Observation', path: 'encounter', targets: ['Encounter'] },
+        { source: 'Encounter', path: 'diagnosis.condition', targets: ['Condition'], topics: ['http://terminology.hl7.org/CodeSystem/v3-ActCode|SUD'] },
+        { source: 'Encounter', path: 'episodeOfCare', targets: ['EpisodeOfCare'], direction: 'from-target' }
+    ] }));
+    const configSls = new FHIRSecurityLabelingService(':memory:', { propagationConfigPath: configPath });
+    await configSls.processValueSetBundle(mentalHealthValueSet);
+    const configResult = configSls.analyzeResourceBundleFull(createTestBundle());
+    check(hasPsyLabel(findResource(configResult, 'Encounter')) && !hasPsyLabel(findResource(configResult, 'Condition')) &&
+        !hasPsyLabel(findResource(configResult, 'EpisodeOfCare')),
+        'PSY reaches the Encounter, but not the SUD-only Condition rule or the from-target EpisodeOfCare rule');
+    fs.writeFileSync(configPath, JSON.stringify({ rules: [{ source: 'Observation', path: 'encounter', targets: ['Patient'] }] }));
+    fs.utimesSync(configPath, new Date(), new Date(Date.now() + 60000));
+    let configError = null;
+    try {
+        configSls.analyzeResourceBundleFull(createTestBundle());
+    } catch (error) {
+        configError = error;
+    }
+    check(configError && configError.message.endsWith('rules[0] targets must be a non-empty array of supported resource types'),
+        'A changed config is reloaded and an invalid rule is reported');
+    configSls.close();
+    fs.rmSync(configDirectory, { recursive: true });
+
+    // Resources without an id are created and referenced through their urn:uuid fullUrls, which only a transaction resolves
+    console.log('\n=== Transaction output ===');
+    const createUrnBundle = () => {
+        const bundle = createTestBundle();
+        bundle.type = 'transaction';
+        for (const entry of bundle.entry) {
+            entry.fullUrl = `urn:uuid:${entry.resource.id}`;
+            entry.request = { method: 'POST', url: entry.resource.resourceType };
+            delete entry.resource.id;
+        }
+        const encounter = findResource(bundle, 'Encounter');
+        encounter.episodeOfCare[0].reference = 'urn:uuid:episode-1';
+        encounter.diagnosis[0].condition.reference = 'urn:uuid:condition-1';
+        findResource(bundle, 'Observation').encounter.reference = 'urn:uuid:enc-1';
+        return bundle;
+    };
+    const urnResult = sls.analyzeResourceBundle(createUrnBundle(), { provenance: 'resource' });
+    const urnTargets = urnResult.entry.filter(e => e.resource.resourceType === 'Provenance').map(e => e.resource.target[0].reference).sort();
+    check(urnTargets.join(',') === 'urn:uuid:condition-1,urn:uuid:enc-1,urn:uuid:episode-1,urn:uuid:obs-1',
+        `Provenance targets the urn:uuid fullUrls of resources without an id (${urnTargets.join(', ')})`);
+    check(urnResult.type === 'transaction' && urnResult.entry.filter(e => e.resource.resourceType !== 'Provenance')
+        .every(e => e.request.method === 'POST' && e.fullUrl.startsWith('urn:uuid:')),
+        'Creates referencing each other by urn:uuid are returned as a transaction');
+    check(sls.analyzeResourceBundle(createTestBundle()).type === 'batch', 'Updates of resources with an id stay a batch');
+    const urnOutput = new PassThrough();
+    const urnChunks = [];
+    urnOutput.on('data', chunk => urnChunks.push(chunk.toString()));
+    await sls.analyzeBundleStream(Readable.from([JSON.stringify(createUrnBundle())]), urnOutput, { mode: 'batch', provenance: 'run' });
+    const streamedUrnResult = JSON.parse(urnChunks.join(''));
+    check(streamedUrnResult.type === 'transaction' &&
+        findResource(streamedUrnResult, 'Provenance').target.every(target => target.reference.startsWith('urn:uuid:')),
+        'A streamed Bundle of such creates is returned as a transaction too');
+
+    // The Encounter changed on the server since it was read: its update is rejected with 412, re-read and sent again
+    console.log('\n=== Write-back ===');
+    const postedBatches = [];
+    const writeServer = await startStubServer((req, res, body) => {
+        res.setHeader('Content-Type', 'application/fhir+json');
+        if (req.method === 'GET' && req.url === '/fhir/Encounter/enc-1') {
+            res.end(JSON.stringify({ ...findResource(createTestBundle(), 'Encounter'), meta: { versionId: '5' }, status: 'finished' }));
+            return;
+        }
+        const batch = JSON.parse(body);
+        postedBatches.push(batch);
+        res.end(JSON.stringify({ resourceType: 'Bundle', type: 'batch-response', entry: batch.entry.map(entry => ({
+            response: { status: entry.request.url === 'Encounter/enc-1' && postedBatches.length === 1 ? '412 Precondition Failed' : '200 OK' }
+        })) }));
+    });
+    const writeSls = new FHIRSecurityLabelingService(':memory:', { fhirServer: `${writeServer.url}/fhir`, writeBackBackoffMs: 0 });
+    await writeSls.processValueSetBundle(mentalHealthValueSet);
+    const writeResult = await writeSls.storeBatchBundle(writeSls.analyzeResourceBundle(createTestBundle()));
+    writeServer.close();
+    const writeSummary = writeResult.extension.find(ext => ext.url === 'http://example.org/fhir/StructureDefinition/write-back-summary');
+    const summaryValue = name => writeSummary.extension.find(ext => ext.url === name).valueInteger;
+    const retriedEntry = postedBatches[1] && postedBatches[1].entry[0];
+    check(postedBatches.length === 2 && postedBatches[1].entry.length === 1 && retriedEntry.request.ifMatch === 'W/"5"' &&
+        retriedEntry.resource.status === 'finished' && hasPsyLabel(retriedEntry.resource),
+        'The rejected Encounter is re-read and sent again with its labels and If-Match on the current version');
+    check(writeResult.type === 'batch-response' && writeResult.entry.every(e => e.response.status === '200 OK') &&
+        summaryValue('stored') === 4 && summaryValue('failed') === 0 && summaryValue('relabeled') === 1,
+        'The batch-response reports the final status of every entry and the write-back summary');
+    writeSls.close();
+
+    // A rejected PATCH is rebuilt against the current version rather than sent as a PUT
+    const postedPatches = [];
+    const patchServer = await startStubServer((req, res, body) => {
+        res.setHeader('Content-Type', 'application/fhir+json');
+        if (req.method === 'GET' && req.url === '/fhir/Encounter/enc-1') {
+            res.end(JSON.stringify({ ...findResource(createTestBundle(), 'Encounter'), meta: { versionId: '7' }, status: 'finished' }));
+            return;
+        }
+        const batch = JSON.parse(body);
+        postedPatches.push(batch);
+        res.end(JSON.stringify({ resourceType: 'Bundle', type: 'batch-response', entry: batch.entry.map(entry => ({
+            response: { status: entry.request.url === 'Encounter/enc-1' && postedPatches.length === 1 ? '412 Precondition Failed' : '200 OK' }
+        })) }));
+    });
+    const patchSls = new FHIRSecurityLabelingService(':memory:', { fhirServer: `${patchServer.url}/fhir`, writeBackBackoffMs: 0 });
+    await patchSls.processValueSetBundle(mentalHealthValueSet);
+    const patchWriteResult = await patchSls.storeBatchBundle(patchSls.analyzeResourceBundlePatch(createTestBundle()));
+    patchServer.close();
+    const repatched = postedPatches[1] && postedPatches[1].entry[0];
+    const repatchedCodings = repatched ? repatched.resource.parameter
+        .map(operation => operation.part.find(part => part.name === 'value'))
+        .filter(value => value && value.valueCoding)
+        .map(value => value.valueCoding.code) : [];
+    check(postedPatches.length === 2 && repatched.request.method === 'PATCH' && repatched.request.ifMatch === 'W/"7"' &&
+        repatched.resource.resourceType === 'Parameters' && repatchedCodings.includes('PSY') && repatchedCodings.includes('R'),
+        'The rejected Encounter PATCH is re-read and sent as a new patch with If-Match on the current version');
+    check(patchWriteResult.entry.every(e => e.response.status === '200 OK') &&
+        patchWriteResult.extension.find(ext => ext.url === 'http://example.org/fhir/StructureDefinition/write-back-summary')
+            .extension.find(ext => ext.url === 'relabeled').valueInteger === 1,
+        'The write-back summary counts the re-patched entry as relabeled');
+    patchSls.close();
+
+    // A notification with the Observation as full resource and the Encounter as id-only payload
+    console.log('\n=== Subscription notification ===');
+    const notifiedReads = [];
+    const notifyServer = await startStubServer((req, res) => {
+        notifiedReads.push(req.url);
+        const found = req.url === '/fhir/Encounter/enc-1';
+        if (req.url === '/fhir/Encounter/unavailable') {
+            res.writeHead(503);
+            return res.end();
+        }
+        res.writeHead(found ? 200 : 404, { 'Content-Type': 'application/fhir+json' });
+        res.end(JSON.stringify(found
+            ? { ...findResource(createTestBundle(), 'Encounter'), meta: { versionId: '2' } }
+            : { resourceType: 'OperationOutcome', issue: [{ severity: 'error', code: 'not-found' }] }));
+    });
+    const notifySls = new FHIRSecurityLabelingService(':memory:', { fhirServer: `${notifyServer.url}/fhir` });
+    await notifySls.processValueSetBundle(mentalHealthValueSet);
+    const createNotification = (type, entries = []) => ({
+        resourceType: 'Bundle',
+        type: 'subscription-notification',
+        entry: [
+            { resource: { resourceType: 'SubscriptionStatus', type: type, notificationEvent: [{ eventNumber: '1', focus: { reference: 'Observation/obs-1' } }] } },
+            ...entries
+        ]
+    });
+    const notifiedBundle = await notifySls.resolveNotificationBundle(createNotification('event-notification', [
+        { fullUrl: `${notifyServer.url}/fhir/Observation/obs-1`, resource: findResource(createTestBundle(), 'Observation') },
+        { fullUrl: `${notifyServer.url}/fhir/Encounter/enc-1` }
+    ]));
+    const notifiedResult = notifySls.analyzeResourceBundle(notifiedBundle);
+    check(notifiedReads.join(',') === '/fhir/Encounter/enc-1' &&
+        notifiedResult.entry.map(e => `${e.request.url}:${hasPsyLabel(e.resource)}`).sort().join(',') === 'Encounter/enc-1:true,Observation/obs-1:true',
+        'The id-only Encounter is read from the server and labeled through the notified Observation');
+    check(await notifySls.resolveNotificationBundle(createNotification('heartbeat')) === null,
+        'A heartbeat carries no resources to label');
+    let invalidNotificationError = null;
+    try {
+        await notifySls.resolveNotificationBundle({ resourceType: 'Bundle', type: 'history', entry: [] });
+    } catch (error) {
+        invalidNotificationError = error;
+    }
+    check(invalidNotificationError && invalidNotificationError.message === 'Invalid notification: expected a Bundle of type "subscription-notification"',
+        'A Bundle that is not a subscription-notification is rejected');
+
+    // A notified resource the server no longer has is left out; a server that fails makes the read fail
+    const goneBundle = await notifySls.resolveNotificationBundle(createNotification('event-notification', [
+        { fullUrl: `${notifyServer.url}/fhir/Observation/obs-1`, resource: findResource(createTestBundle(), 'Observation') },
+        { fullUrl: `${notifyServer.url}/fhir/Encounter/enc-gone` }
+    ]));
+    check(goneBundle.entry.length === 1 && goneBundle.entry[0].resource.resourceType === 'Observation',
+        'An id-only resource the server answers with 404 is left out');
+    const readNotificationError = (service, entries) => service.resolveNotificationBundle(createNotification('event-notification', entries))
+        .then(() => null, error => error);
+    const unavailableError = await readNotificationError(notifySls, [{ fullUrl: `${notifyServer.url}/fhir/Encounter/unavailable` }]);
+    check(unavailableError && unavailableError.code === 'transient' && unavailableError.message.endsWith('503 Service Unavailable'),
+        'An id-only resource the server answers with 503 fails the read as transient');
+    notifyServer.close();
+    notifySls.close();
+
+    const unreachableSls = new FHIRSecurityLabelingService(':memory:', { fhirServer: `${notifyServer.url}/fhir` });
+    const unreachableError = await readNotificationError(unreachableSls, [{ fullUrl: `${notifyServer.url}/fhir/Encounter/enc-1` }]);
+    check(unreachableError && unreachableError.code === 'transient', 'An unreachable FHIR server fails the read as transient');
+    unreachableSls.close();
+
+    // $sls-scan reads the record page by page; labels propagate between resources on different pages
+    console.log('\n=== Patient scan ===');
+    let everythingPages = {};
+    const everythingServer = await startStubServer((req, res) => {
+        const page = everythingPages[req.url];
+        if (page === 'hang') {
+            return;
+        }
+        if (page === 'unavailable') {
+            res.writeHead(503);
+            return res.end();
+        }
+        res.writeHead(page ? 200 : 404, { 'Content-Type': 'application/fhir+json' });
+        res.end(JSON.stringify(page || { resourceType: 'OperationOutcome', issue: [{ severity: 'error', code: 'not-found' }] }));
+    });
+    const createPage = (resourceTypes, next) => ({
+        resourceType: 'Bundle',
+        type: 'searchset',
+        link: next ? [{ relation: 'next', url: next }] : [],
+        entry: createTestBundle().entry.filter(e => resourceTypes.includes(e.resource.resourceType))
+    });
+    everythingPages = {
+        '/fhir/Patient/p1/$everything': createPage(['Observation', 'Encounter'], `${everythingServer.url}/fhir?page=2`),
+        '/fhir?page=2': createPage(['Encounter', 'EpisodeOfCare', 'Condition'], null)
+    };
+    const scanSls = new FHIRSecurityLabelingService(':memory:', { fhirServer: `${everythingServer.url}/fhir` });
+    await scanSls.processValueSetBundle(mentalHealthValueSet);
+    const record = await scanSls.fetchPatientEverything('p1');
+    const scanResult = scanSls.analyzeResourceBundle(record);
+    check(record.entry.length === 4 && scanResult.entry.length === 4 && scanResult.entry.every(e => hasPsyLabel(e.resource)),
+        'Both pages are read, the Encounter once, and the Observation labels the resources of the second page');
+    check(await scanSls.fetchPatientEverything('unknown') === null, 'An unknown patient returns null');
+    const scanError = async () => {
+        try {
+            await scanSls.fetchPatientEverything('p1');
+        } catch (error) {
+            return error;
+        }
+        return null;
+    };
+    everythingPages['/fhir/Patient/p1/$everything'] = createPage(['Observation'], 'http://attacker.example.org/fhir?page=2');
+    const foreignError = await scanError();
+    check(foreignError && foreignError.code === 'security' && foreignError.message.includes('http://attacker.example.org/fhir?page=2'),
+        'A next link to another origin is refused');
+    everythingPages = Object.fromEntries([1, 2, 3, 4, 5].map(n => [
+        n === 1 ? '/fhir/Patient/p1/$everything' : `/fhir?page=${n}`, createPage([], `/fhir?page=${n + 1}`)
+    ]));
+    const cappedSls = new FHIRSecurityLabelingService(':memory:', {
+        fhirServer: `${everythingServer.url}/fhir`, maxEverythingPages: 4, everythingPageTimeoutMs: 200
+    });
+    const cappedError = async patientId => {
+        try {
+            await cappedSls.fetchPatientEverything(patientId);
+        } catch (error) {
+            return error;
+        }
+        return null;
+    };
+    const pagesError = await cappedError('p1');
+    check(pagesError && pagesError.code === 'too-costly' && pagesError.message.endsWith('the record has more than 4 pages'),
+        'Paging stops after maxEverythingPages pages');
+    everythingPages['/fhir/Patient/slow/$everything'] = 'hang';
+    const timeoutError = await cappedError('slow');
+    check(timeoutError && timeoutError.code === 'timeout' && timeoutError.message.endsWith('page 1 was not read within 200 ms'),
+        'A page that does not arrive in time fails the read');
+    cappedSls.close();
+
+    // The server forwards fhirVersion to the analysis as $sls-tag does
+    everythingPages['/fhir/Patient/p2/$everything'] = {
+        ...createReasonBundle({ reasonReference: [{ reference: 'Condition/condition-3' }] }), type: 'searchset'
+    };
+    const scanDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'sls-scan-'));
+    const scanServer = await startSlsServer({ DB_PATH: path.join(scanDirectory, 'sls.db'), FHIR_SERVER_URL: `${everythingServer.url}/fhir` });
+    try {
+        await fetch(`${scanServer.url}/$sls-load-valuesets`, {
+            method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(mentalHealthValueSet)
+        });
+        const scanAs = async query => {
+            const response = await fetch(`${scanServer.url}/Patient/p2/$sls-scan${query}`, { method: 'POST' });
+            return { status: response.status, bundle: await response.json() };
+        };
+        const detected = await scanAs('');
+        const asR5 = await scanAs('?fhirVersion=R5');
+        const invalid = await scanAs('?fhirVersion=R6');
+        check(detected.status === 200 && hasPsyLabel(findResource(detected.bundle, 'Condition')) &&
+            asR5.status === 200 && !hasPsyLabel(findResource(asR5.bundle, 'Condition')),
+            '$sls-scan follows the requested fhirVersion (R5 ignores R4 reasonReference)');
+        check(invalid.status === 400 && invalid.bundle.issue[0].code === 'invalid', '$sls-scan rejects an unknown fhirVersion');
+
+        // Subscription notifications: an upstream failure is a 502, an invalid notification a 400
+        everythingPages['/fhir/Encounter/unavailable'] = 'unavailable';
+        const notify = async notification => {
+            const response = await fetch(`${scanServer.url}/subscription-notification`, {
+                method: 'POST', headers: { 'Content-Type': 'application/fhir+json' }, body: JSON.stringify(notification)
+            });
+            return { status: response.status, outcome: await response.json() };
+        };
+        const upstreamFailure = await notify(createNotification('event-notification', [{ fullUrl: `${everythingServer.url}/fhir/Encounter/unavailable` }]));
+        const invalidNotification = await notify({ resourceType: 'Bundle', type: 'history', entry: [] });
+        check(upstreamFailure.status === 502 && upstreamFailure.outcome.issue[0].code === 'transient' &&
+            invalidNotification.status === 400 && invalidNotification.outcome.issue[0].code === 'processing',
+            'A notification whose resources cannot be read returns 502, an invalid one 400');
+    } finally {
+        scanServer.child.kill();
+        fs.rmSync(scanDirectory, { recursive: true });
+    }
+    everythingServer.close();
+    scanSls.close();
+
+    // Prefer: respond-async: 202 with a status URL, 202 while the job runs, the result once done, DELETE removes it
+    console.log('\n=== Asynchronous jobs ===');
+    const jobDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'sls-jobs-'));
+    const slsServer = await startSlsServer({ DB_PATH: path.join(jobDirectory, 'sls.db'), FHIR_SERVER_URL: '' });
+    try {
+        const submitJob = async (operation, body) => {
+            const response = await fetch(`${slsServer.url}/${operation}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Prefer': 'respond-async' },
+                body: JSON.stringify(body)
+            });
+            return { status: response.status, statusUrl: response.headers.get('Content-Location') };
+        };
+        const pollJob = async statusUrl => {
+            const statuses = [];
+            for (let attempt = 0; attempt < 100; attempt++) {
+                const response = await fetch(statusUrl);
+                statuses.push(response.status);
+                if (response.status !== 202) {
+                    return { statuses, bundle: await response.json() };
+                }
+                await new Promise(resolve => setTimeout(resolve, 50));
+            }
+            return { statuses, bundle: null };
+        };
+
+        const loadJob = await submitJob('$sls-load-valuesets', mentalHealthValueSet);
+        const loadResult = await pollJob(loadJob.statusUrl);
+        check(loadJob.status === 202 && /\/jobs\/[0-9a-f-]+$/.test(loadJob.statusUrl) && loadResult.statuses.pop() === 200 &&
+            loadResult.bundle.type === 'batch-response' && loadResult.bundle.entry[0].response.status === '200',
+            'A ValueSet load returns 202 and a status URL that returns the OperationOutcome in a batch-response');
+
+        const tagJob = await submitJob('$sls-tag', createTestBundle());
+        const tagResult = await pollJob(tagJob.statusUrl);
+        check(tagJob.status === 202 && tagResult.bundle && tagResult.bundle.entry[0].resource.entry.every(e => hasPsyLabel(e.resource)),
+            'An asynchronous $sls-tag returns the labeled batch Bundle');
+
+        const deleted = await fetch(tagJob.statusUrl, { method: 'DELETE' });
+        const afterDelete = await fetch(tagJob.statusUrl);
+        const deletedAgain = await fetch(tagJob.statusUrl, { method: 'DELETE' });
+        check(deleted.status === 202 && afterDelete.status === 404 && deletedAgain.status === 404,
+            'DELETE removes the finished job and its status URL returns 404');
+
+        // A failed operation is reported with its own status and OperationOutcome, not inside a batch-response
+        const failedJob = await submitJob('$sls-tag', { resourceType: 'Bundle', type: 'collection', entry: [] });
+        const failedResult = await pollJob(failedJob.statusUrl);
+        check(failedJob.status === 202 && failedResult.statuses.pop() === 400 && failedResult.bundle.resourceType === 'OperationOutcome' &&
+            failedResult.bundle.issue[0].severity === 'error',
+            'An asynchronous $sls-tag that fails returns its 400 and OperationOutcome from the status URL');
+
+        // Chunked Bundles (no Content-Length) are parsed as usual within the body limit and streamed beyond it
+        const postChunked = async (query, bundle, headers = {}) => {
+            const text = JSON.stringify(bundle);
+            const response = await fetch(`${slsServer.url}/$sls-tag${query}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...headers },
+                body: Readable.toWeb(Readable.from([text.slice(0, 1000), text.slice(1000)])),
+                duplex: 'half',
+                signal: AbortSignal.timeout(60000)
+            });
+            return { status: response.status, statusUrl: response.headers.get('Content-Location'), body: await response.json() };
+        };
+        const chunkedExplain = await postChunked('?mode=explain', createTestBundle());
+        const largeBundle = createTestBundle();
+        findResource(largeBundle, 'Condition').note = [{ text: 'x'.repeat(11 * 1024 * 1024) }];
+        const largeExplain = await postChunked('?mode=explain', largeBundle);
+        const largeBatch = await postChunked('', largeBundle);
+        check(chunkedExplain.status === 200 && chunkedExplain.body.resourceType === 'Parameters' &&
+            largeExplain.status === 400 && largeExplain.body.issue[0].code === 'not-supported',
+            'A chunked Bundle within the body limit is parsed, a larger one is streamed');
+        check(largeBatch.status === 200 && largeBatch.body.entry.length === 4 && largeBatch.body.entry.every(e => hasPsyLabel(e.resource)) &&
+            findResource(largeBatch.body, 'Condition').note[0].text.length === 11 * 1024 * 1024,
+            'A chunked Bundle over the body limit is streamed from the part already read');
+        const postOrTimeout = (query, bundle) => postChunked(query, bundle).catch(error => ({ status: error.name }));
+        const rejectedTwice = [await postOrTimeout('?mode=explain', largeBundle), await postOrTimeout('?mode=explain', largeBundle)];
+        const afterRejections = await postOrTimeout('?mode=explain', createTestBundle());
+        check(rejectedTwice.every(rejected => rejected.status === 400) && afterRejections.status === 200,
+            'Large chunked Bundles rejected before they were read do not stall the connections for later requests');
+
+        // Streamed Bundles are spooled to disk for asynchronous requests; the files are removed with the job
+        const largeJob = await postChunked('', largeBundle, { 'Prefer': 'respond-async' });
+        const largeResult = await pollJob(largeJob.statusUrl);
+        const jobFiles = () => fs.readdirSync(path.join(jobDirectory, 'jobs'));
+        check(largeJob.status === 202 && largeResult.statuses.pop() === 200 && largeResult.bundle.type === 'batch-response' &&
+            largeResult.bundle.entry[0].response.status === '200' && largeResult.bundle.entry[0].resource.entry.every(e => hasPsyLabel(e.resource)) &&
+            jobFiles().length === 1,
+            'An asynchronous $sls-tag labels a streamed Bundle from a spooled file and returns it in the batch-response');
+        await fetch(largeJob.statusUrl, { method: 'DELETE' });
+        check(jobFiles().length === 0, 'Deleting the job removes the file of its result');
+    } finally {
+        slsServer.child.kill();
+        fs.rmSync(jobDirectory, { recursive: true });
+    }
+
+    console.log(`\n${passed} passed, ${failed} failed`);
+    process.exit(failed > 0 ? 1 : 0);
 }
 
-console.log(`\n${passed} passed, ${failed} failed`);
-process.exit(failed > 0 ? 1 : 0);
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});